@@ -0,0 +1,205 @@
+const { PDFDocument, PDFTextField, PDFCheckBox, PDFDropdown, PDFOptionList, PDFRadioGroup } = require('pdf-lib');
+const PizZip = require('pizzip');
+const Docxtemplater = require('docxtemplater');
+
+/**
+ * Merge CRM record data into document templates.
+ *
+ * - DOCX: placeholders in the text, {{name}}, replaced with values
+ * - PDF: form fields filled with values. The fields stay editable, so the
+ *   document can still be completed in the viewer.
+ *
+ * Templates are inspected first (inspectTemplate) to learn which names they
+ * use, so only those values have to be read from the CRM.
+ */
+
+const MERGEABLE_EXTENSIONS = ['pdf', 'docx'];
+
+// Values that tick a checkbox, as HubSpot stores booleans as strings
+const TRUTHY = /^(true|yes|1|on|checked)$/i;
+
+class TemplateError extends Error {
+  /**
+   * @param {string} message - What is wrong with the template
+   * @param {string[]} [problems] - Individual problems (e.g. unbalanced placeholders)
+   * @param {string} [hint] - How to fix it, when that is not the template itself
+   */
+  constructor(message, problems = [], hint = null) {
+    super(message);
+    this.name = 'TemplateError';
+    this.problems = problems;
+    this.hint = hint;
+  }
+}
+
+/**
+ * Whether a file can be used as a template
+ * @param {string} extension - File extension
+ * @returns {boolean}
+ */
+function isMergeable(extension) {
+  return MERGEABLE_EXTENSIONS.includes(String(extension || '').toLowerCase());
+}
+
+/**
+ * Open a DOCX template, turning docxtemplater's errors into a TemplateError
+ * @param {Buffer} buffer - Template content
+ * @param {function} [onTag] - Called with each placeholder name while the template is compiled
+ */
+function openDocx(buffer, onTag = () => {}) {
+  try {
+    return new Docxtemplater(new PizZip(buffer), {
+      delimiters: { start: '{{', end: '}}' },
+      paragraphLoop: true,
+      linebreaks: true,
+      // Properties without a value are left empty rather than printed as "undefined"
+      nullGetter: () => '',
+      // Errors are reported through TemplateError instead of docxtemplater's console output
+      errorLogging: false,
+      parser(tag) {
+        const name = tag.trim();
+        onTag(name);
+        // "." is the current item inside a loop. Only own values are read, so a
+        // placeholder such as {{constructor}} does not print Object internals.
+        return {
+          get: scope => {
+            if (name === '.') {
+              return scope;
+            }
+            return scope !== null && typeof scope === 'object' && Object.prototype.hasOwnProperty.call(scope, name)
+              ? scope[name]
+              : undefined;
+          }
+        };
+      }
+    });
+  } catch (error) {
+    throw toTemplateError(error);
+  }
+}
+
+function toTemplateError(error) {
+  // Multiple problems are collected in properties.errors, a single one is the error itself
+  const problems = (error.properties?.errors || (error.properties?.explanation ? [error] : []))
+    .map(problem => problem.properties?.explanation || problem.message);
+
+  return new TemplateError(
+    problems.length > 0 ? 'The template contains invalid placeholders' : `The template could not be read: ${error.message}`,
+    problems
+  );
+}
+
+async function openPdf(buffer) {
+  try {
+    return await PDFDocument.load(buffer);
+  } catch (error) {
+    throw new TemplateError(`The template could not be read: ${error.message}`);
+  }
+}
+
+/**
+ * Names a template uses: DOCX placeholders or PDF form field names
+ * @param {Buffer} buffer - Template content
+ * @param {string} extension - "pdf" or "docx"
+ * @returns {Promise<string[]>}
+ * @throws {TemplateError}
+ */
+async function inspectTemplate(buffer, extension) {
+  if (extension === 'docx') {
+    const names = new Set();
+    openDocx(buffer, name => names.add(name));
+    return [...names].filter(name => name !== '.');
+  }
+
+  if (extension === 'pdf') {
+    const pdf = await openPdf(buffer);
+    return pdf.getForm().getFields().map(field => field.getName());
+  }
+
+  throw new TemplateError(`.${extension} files cannot be used as templates (use ${MERGEABLE_EXTENSIONS.join(' or ')})`);
+}
+
+/**
+ * Fill a PDF form field with a string value. Values that are not one of a
+ * choice field's options are skipped.
+ *
+ * Text is drawn with the form's standard font, which only covers Latin
+ * characters (WinAnsi). Appearances are drawn here rather than by save(), so a
+ * value it cannot show (CJK, emoji, ...) fails with the name of its field.
+ */
+function fillPdfField(field, value, font) {
+  try {
+    if (field instanceof PDFTextField) {
+      field.setText(value);
+      field.updateAppearances(font);
+    } else if (field instanceof PDFCheckBox) {
+      if (TRUTHY.test(value)) {
+        field.check();
+      } else {
+        field.uncheck();
+      }
+    } else if (field instanceof PDFDropdown || field instanceof PDFOptionList) {
+      const selected = value.split(';').filter(option => field.getOptions().includes(option));
+      if (selected.length > 0) {
+        field.select(field instanceof PDFDropdown ? selected[0] : selected);
+        field.updateAppearances(font);
+      }
+    } else if (field instanceof PDFRadioGroup && field.getOptions().includes(value)) {
+      field.select(value);
+    }
+  } catch (error) {
+    if (!/cannot encode/i.test(error.message)) {
+      throw error;
+    }
+    throw new TemplateError(
+      `The value of the form field "${field.getName()}" contains characters the PDF's font cannot show`,
+      [error.message],
+      'PDF form fields only show Latin characters: change the value on the record, or use a DOCX template'
+    );
+  }
+}
+
+/**
+ * Merge values into a template
+ * @param {Buffer} buffer - Template content
+ * @param {string} extension - "pdf" or "docx"
+ * @param {object} values - Name (placeholder or form field) -> string value
+ * @returns {Promise<Buffer>} Merged document, in the template's format
+ * @throws {TemplateError}
+ */
+async function mergeTemplate(buffer, extension, values) {
+  if (extension === 'docx') {
+    const doc = openDocx(buffer);
+    try {
+      doc.render(values);
+    } catch (error) {
+      throw toTemplateError(error);
+    }
+    return doc.getZip().generate({ type: 'nodebuffer', compression: 'DEFLATE' });
+  }
+
+  if (extension === 'pdf') {
+    const pdf = await openPdf(buffer);
+    const form = pdf.getForm();
+    const font = form.getDefaultFont();
+
+    for (const field of form.getFields()) {
+      const value = values[field.getName()];
+      if (value !== undefined && value !== null && value !== '') {
+        fillPdfField(field, String(value), font);
+      }
+    }
+
+    return Buffer.from(await pdf.save());
+  }
+
+  throw new TemplateError(`.${extension} files cannot be used as templates (use ${MERGEABLE_EXTENSIONS.join(' or ')})`);
+}
+
+module.exports = {
+  MERGEABLE_EXTENSIONS,
+  TemplateError,
+  inspectTemplate,
+  isMergeable,
+  mergeTemplate
+};
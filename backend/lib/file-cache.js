@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Local disk cache for HubSpot file content.
+ *
+ * Each file is stored as "<fileId>" next to "<fileId>.json", which records the
+ * HubSpot updatedAt it was downloaded at. A cached copy is only used while that
+ * updatedAt still matches, so replacing a file in HubSpot invalidates it.
+ * Least recently used files are evicted once the cache grows past maxBytes.
+ */
+class FileCache {
+  /**
+   * @param {object} options
+   * @param {string} options.dir - Cache directory, created if missing
+   * @param {number} [options.maxBytes] - Size the cache is pruned back to (default 1 GB)
+   */
+  constructor(options) {
+    this.dir = path.resolve(options.dir);
+    this.maxBytes = options.maxBytes || 1024 * 1024 * 1024;
+    // Concurrent misses for the same file version share one download
+    this.pendingFills = new Map();
+  }
+
+  contentPath(fileId) {
+    return path.join(this.dir, String(fileId).replace(/[^a-zA-Z0-9_-]/g, '_'));
+  }
+
+  /**
+   * Look up a cached file version
+   * @param {string} fileId - HubSpot file ID
+   * @param {string} updatedAt - Current HubSpot updatedAt of the file
+   * @returns {Promise<{path: string, size: number}|null>} Cached content or null on a miss
+   */
+  async get(fileId, updatedAt) {
+    const contentPath = this.contentPath(fileId);
+
+    try {
+      const meta = JSON.parse(await fs.promises.readFile(`${contentPath}.json`, 'utf8'));
+
+      if (meta.updatedAt !== updatedAt) {
+        return null;
+      }
+
+      const stat = await fs.promises.stat(contentPath);
+      if (stat.size !== meta.size) {
+        return null;
+      }
+
+      // Mark as recently used for eviction
+      const now = new Date();
+      await fs.promises.utimes(contentPath, now, now);
+
+      return { path: contentPath, size: stat.size };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`File cache: could not read entry for file ${fileId}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Get a cached file version, downloading it into the cache on a miss
+   * @param {string} fileId - HubSpot file ID
+   * @param {string} updatedAt - Current HubSpot updatedAt of the file
+   * @param {function(): Promise<import('stream').Readable>} openStream - Opens the file content
+   * @returns {Promise<{path: string, size: number}>} Cached content
+   */
+  async fill(fileId, updatedAt, openStream) {
+    const cached = await this.get(fileId, updatedAt);
+    if (cached) {
+      return cached;
+    }
+
+    const key = `${fileId}@${updatedAt}`;
+    if (!this.pendingFills.has(key)) {
+      this.pendingFills.set(key, this.download(fileId, updatedAt, openStream)
+        .finally(() => this.pendingFills.delete(key)));
+    }
+
+    return this.pendingFills.get(key);
+  }
+
+  async download(fileId, updatedAt, openStream) {
+    const contentPath = this.contentPath(fileId);
+    const tmpPath = `${contentPath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+
+    await fs.promises.mkdir(this.dir, { recursive: true });
+
+    try {
+      await pipeline(await openStream(), fs.createWriteStream(tmpPath));
+      const { size } = await fs.promises.stat(tmpPath);
+
+      // Content first, then the metadata that makes it valid
+      await fs.promises.rename(tmpPath, contentPath);
+      await fs.promises.writeFile(`${contentPath}.json`, JSON.stringify({ fileId, updatedAt, size }));
+
+      this.prune().catch((error) => {
+        console.warn(`File cache: pruning failed: ${error.message}`);
+      });
+
+      return { path: contentPath, size };
+    } catch (error) {
+      await fs.promises.rm(tmpPath, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Evict least recently used files until the cache fits in maxBytes
+   */
+  async prune() {
+    const names = await fs.promises.readdir(this.dir);
+    const entries = [];
+
+    for (const name of names) {
+      if (name.endsWith('.json') || name.endsWith('.tmp')) {
+        continue;
+      }
+
+      try {
+        const stat = await fs.promises.stat(path.join(this.dir, name));
+        entries.push({ name, size: stat.size, usedAt: stat.mtimeMs });
+      } catch (error) {
+        // Removed concurrently
+      }
+    }
+
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+    entries.sort((a, b) => a.usedAt - b.usedAt);
+
+    for (const entry of entries) {
+      if (total <= this.maxBytes) {
+        break;
+      }
+
+      const contentPath = path.join(this.dir, entry.name);
+      await fs.promises.rm(`${contentPath}.json`, { force: true });
+      await fs.promises.rm(contentPath, { force: true });
+      total -= entry.size;
+    }
+  }
+}
+
+module.exports = FileCache;
@@ -0,0 +1,172 @@
+const fs = require('fs');
+
+/**
+ * Mapping between PDF form fields (AcroForm field names) and properties of the
+ * CRM record a document is opened from.
+ *
+ * Read from a JSON file (FORM_MAPPING_PATH, see form-mapping.example.json),
+ * keyed by object type, then by form field name:
+ *
+ *   {
+ *     "contacts": {
+ *       "first_name": "firstname",
+ *       "customer_email": { "property": "email", "label": "Email" },
+ *       "company": { "property": "company", "writeBack": false }
+ *     },
+ *     "deals": { "order_total": { "property": "amount", "label": "Order total" } }
+ *   }
+ *
+ * A plain string is the property name. writeBack (default true) controls whether
+ * values filled in the viewer may update the property; fields with writeBack
+ * false are only prefilled.
+ *
+ * Values are exchanged as strings, like the CRM API returns them: checkboxes as
+ * "true"/"false", multiple choices joined with ";" (HubSpot's multi-select format).
+ */
+
+const PROPERTY_PATTERN = /^[a-z0-9_]+$/i;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function fail(where, message) {
+  throw new Error(`Invalid form mapping at ${where}: ${message}`);
+}
+
+/**
+ * Normalize one field entry
+ * @returns {{field: string, property: string, label: string, writeBack: boolean}}
+ */
+function toFieldMapping(field, entry, where) {
+  const mapping = typeof entry === 'string' ? { property: entry } : entry;
+
+  if (!isPlainObject(mapping)) {
+    fail(where, 'expected a property name or {"property", "label", "writeBack"}');
+  }
+  const unknown = Object.keys(mapping).filter(key => !['property', 'label', 'writeBack'].includes(key));
+  if (unknown.length > 0) {
+    fail(where, `unknown setting "${unknown[0]}"`);
+  }
+  if (typeof mapping.property !== 'string' || !PROPERTY_PATTERN.test(mapping.property)) {
+    fail(`${where}.property`, `"${mapping.property}" is not a CRM property name`);
+  }
+  if (mapping.label !== undefined && typeof mapping.label !== 'string') {
+    fail(`${where}.label`, 'expected a string');
+  }
+  if (mapping.writeBack !== undefined && typeof mapping.writeBack !== 'boolean') {
+    fail(`${where}.writeBack`, 'expected true or false');
+  }
+
+  return {
+    field,
+    property: mapping.property,
+    label: mapping.label || mapping.property,
+    writeBack: mapping.writeBack !== false
+  };
+}
+
+/**
+ * Normalize a value for comparison and storage: strings trimmed, null and
+ * undefined as empty
+ */
+function normalizeValue(value) {
+  return value === null || value === undefined ? '' : String(value).trim();
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.path] - JSON mapping file (default: no mapping, forms are left alone)
+ * @param {string[]} [options.objectTypes] - Object types the file may contain
+ * @returns {object} Form mapping
+ * @throws {Error} When the file cannot be read or is invalid
+ */
+function createFormMapping(options = {}) {
+  // Object type -> field mappings
+  const mappings = new Map();
+
+  if (options.path) {
+    let file;
+    try {
+      file = JSON.parse(fs.readFileSync(options.path, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read form mapping ${options.path}: ${error.message}`);
+    }
+
+    if (!isPlainObject(file)) {
+      fail('the top level', 'expected an object keyed by object type');
+    }
+
+    for (const [objectType, fields] of Object.entries(file)) {
+      if (options.objectTypes && !options.objectTypes.includes(objectType)) {
+        fail(objectType, `unsupported object type (expected one of ${options.objectTypes.join(', ')})`);
+      }
+      if (!isPlainObject(fields)) {
+        fail(objectType, 'expected an object keyed by form field name');
+      }
+      mappings.set(objectType, Object.entries(fields).map(
+        ([field, entry]) => toFieldMapping(field, entry, `${objectType}.${field}`)
+      ));
+    }
+  }
+
+  /**
+   * Field mappings for records of an object type
+   * @param {string} objectType - API object name, e.g. "contacts"
+   * @returns {object[]} {field, property, label, writeBack}, empty without a mapping
+   */
+  function fieldsFor(objectType) {
+    return mappings.get(objectType) || [];
+  }
+
+  /**
+   * Form values to prefill from a record's properties. Empty properties are
+   * left out, so they do not clear values already in the document.
+   * @param {string} objectType - API object name
+   * @param {object} properties - Record properties
+   * @returns {object} Field name -> value
+   */
+  function prefillValues(objectType, properties) {
+    const values = {};
+    for (const { field, property } of fieldsFor(objectType)) {
+      const value = normalizeValue(properties[property]);
+      if (value !== '') {
+        values[field] = value;
+      }
+    }
+    return values;
+  }
+
+  /**
+   * Property changes that writing form values back would make. Fields that are
+   * not mapped, not written back or not in the form are ignored.
+   * @param {string} objectType - API object name
+   * @param {object} values - Field name -> value, as filled in the viewer
+   * @param {object} properties - Current record properties
+   * @returns {object[]} {field, property, label, current, proposed}
+   */
+  function diffValues(objectType, values, properties) {
+    return fieldsFor(objectType)
+      .filter(mapping => mapping.writeBack && Object.prototype.hasOwnProperty.call(values, mapping.field))
+      .map(mapping => ({
+        field: mapping.field,
+        property: mapping.property,
+        label: mapping.label,
+        current: normalizeValue(properties[mapping.property]),
+        proposed: normalizeValue(values[mapping.field])
+      }))
+      .filter(change => change.current !== change.proposed);
+  }
+
+  return {
+    source: options.path || null,
+    objectTypes: [...mappings.keys()],
+    fieldsFor,
+    prefillValues,
+    diffValues
+  };
+}
+
+module.exports = {
+  createFormMapping
+};
@@ -0,0 +1,145 @@
+/**
+ * File formats the integration knows about.
+ *
+ * `category` is what the card uses for type tags and the type filter, `mime` is
+ * what the file proxy serves. `container` marks formats whose magic bytes only
+ * identify a container (ZIP for Office Open XML, OLE2 for legacy Office), where
+ * the extension decides the exact format. `text` formats have no signature and
+ * are recognized by their content being plain text.
+ */
+const FORMATS = [
+  { extensions: ['pdf'], mime: 'application/pdf', category: 'pdf' },
+
+  { extensions: ['doc', 'dot'], mime: 'application/msword', category: 'word', container: 'ole' },
+  { extensions: ['docx'], mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', category: 'word', container: 'zip' },
+  { extensions: ['dotx'], mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.template', category: 'word', container: 'zip' },
+  { extensions: ['rtf'], mime: 'application/rtf', category: 'word' },
+  { extensions: ['odt'], mime: 'application/vnd.oasis.opendocument.text', category: 'word', container: 'zip' },
+
+  { extensions: ['xls'], mime: 'application/vnd.ms-excel', category: 'excel', container: 'ole' },
+  { extensions: ['xlsx'], mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', category: 'excel', container: 'zip' },
+  { extensions: ['xlsm'], mime: 'application/vnd.ms-excel.sheet.macroEnabled.12', category: 'excel', container: 'zip' },
+  { extensions: ['csv'], mime: 'text/csv', category: 'excel', text: true },
+  { extensions: ['ods'], mime: 'application/vnd.oasis.opendocument.spreadsheet', category: 'excel', container: 'zip' },
+
+  { extensions: ['ppt', 'pps'], mime: 'application/vnd.ms-powerpoint', category: 'powerpoint', container: 'ole' },
+  { extensions: ['pptx'], mime: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', category: 'powerpoint', container: 'zip' },
+  { extensions: ['ppsx'], mime: 'application/vnd.openxmlformats-officedocument.presentationml.slideshow', category: 'powerpoint', container: 'zip' },
+  { extensions: ['odp'], mime: 'application/vnd.oasis.opendocument.presentation', category: 'powerpoint', container: 'zip' },
+
+  { extensions: ['png'], mime: 'image/png', category: 'image' },
+  { extensions: ['jpg', 'jpeg'], mime: 'image/jpeg', category: 'image' },
+  { extensions: ['gif'], mime: 'image/gif', category: 'image' },
+  { extensions: ['tif', 'tiff'], mime: 'image/tiff', category: 'image' },
+  { extensions: ['bmp'], mime: 'image/bmp', category: 'image' },
+  { extensions: ['webp'], mime: 'image/webp', category: 'image' },
+  { extensions: ['heic', 'heif'], mime: 'image/heic', category: 'image' },
+
+  { extensions: ['txt'], mime: 'text/plain', category: 'text', text: true },
+  { extensions: ['md'], mime: 'text/markdown', category: 'text', text: true }
+];
+
+const UNKNOWN_FORMAT = { extensions: [], mime: 'application/octet-stream', category: 'other' };
+
+// Signatures checked against the start of the content, most specific first
+const SIGNATURES = [
+  { extension: 'pdf', test: b => startsWith(b, '%PDF-') },
+  { extension: 'png', test: b => startsWith(b, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  { extension: 'jpg', test: b => startsWith(b, [0xff, 0xd8, 0xff]) },
+  { extension: 'gif', test: b => startsWith(b, 'GIF87a') || startsWith(b, 'GIF89a') },
+  { extension: 'tif', test: b => startsWith(b, [0x49, 0x49, 0x2a, 0x00]) || startsWith(b, [0x4d, 0x4d, 0x00, 0x2a]) },
+  { extension: 'webp', test: b => startsWith(b, 'RIFF') && b.toString('latin1', 8, 12) === 'WEBP' },
+  { extension: 'heic', test: b => b.toString('latin1', 4, 8) === 'ftyp' && /^(heic|heix|hevc|hevx|mif1|msf1)$/.test(b.toString('latin1', 8, 12)) },
+  { extension: 'bmp', test: b => startsWith(b, 'BM') && b.length >= 14 },
+  { extension: 'rtf', test: b => startsWith(b, '{\\rtf') },
+  { container: 'zip', test: b => startsWith(b, [0x50, 0x4b, 0x03, 0x04]) },
+  { container: 'ole', test: b => startsWith(b, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]) }
+];
+
+function startsWith(buffer, prefix) {
+  const bytes = typeof prefix === 'string' ? Buffer.from(prefix, 'latin1') : Buffer.from(prefix);
+  return buffer.length >= bytes.length && buffer.subarray(0, bytes.length).equals(bytes);
+}
+
+/**
+ * Look up a format by file extension
+ * @param {string} extension - With or without leading dot, any case
+ * @returns {object} Format entry, or the unknown format
+ */
+function getFormat(extension) {
+  const value = String(extension || '').replace(/^\./, '').toLowerCase();
+  return FORMATS.find(format => format.extensions.includes(value)) || UNKNOWN_FORMAT;
+}
+
+/**
+ * Detect a file's format from its first bytes, falling back to the extension.
+ * Container signatures (ZIP, OLE2) keep the extension's format when it uses that
+ * container, and are reported as unknown otherwise.
+ * @param {Buffer} head - First bytes of the content (64 are plenty)
+ * @param {string} [extension] - File extension as a hint
+ * @returns {object} Format entry
+ */
+function detectFormat(head, extension) {
+  const byExtension = getFormat(extension);
+  const signature = head && head.length > 0 ? SIGNATURES.find(s => s.test(head)) : null;
+
+  if (!signature) {
+    return byExtension;
+  }
+
+  if (signature.container) {
+    return byExtension.container === signature.container ? byExtension : UNKNOWN_FORMAT;
+  }
+
+  return getFormat(signature.extension);
+}
+
+/**
+ * Identify content by its bytes alone. Unlike detectFormat(), the extension is
+ * only used to pick the exact format inside a matching container, or to accept
+ * plain text for text formats; content that cannot be identified gives null.
+ * @param {Buffer} head - First bytes of the content
+ * @param {string} [extension] - File extension as a hint
+ * @returns {object|null} Format entry or null
+ */
+function sniffFormat(head, extension) {
+  const byExtension = getFormat(extension);
+  const signature = head && head.length > 0 ? SIGNATURES.find(s => s.test(head)) : null;
+
+  if (signature) {
+    if (!signature.container) {
+      return getFormat(signature.extension);
+    }
+    return byExtension.container === signature.container ? byExtension : null;
+  }
+
+  // No NUL bytes and no signature: plain text
+  if (byExtension.text && head && !head.includes(0)) {
+    return byExtension;
+  }
+
+  return null;
+}
+
+/**
+ * Build a Content-Disposition header with an ASCII fallback and an RFC 5987
+ * UTF-8 filename, safe for quotes and non-ASCII names
+ * @param {string} filename - File name including extension
+ * @param {string} [type] - "inline" (default) or "attachment"
+ * @returns {string} Header value
+ */
+function contentDisposition(filename, type = 'inline') {
+  const name = String(filename || 'document');
+  const fallback = name.replace(/[^\x20-\x7e]|["\\%]/g, '_');
+  const encoded = encodeURIComponent(name).replace(/['()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+module.exports = {
+  FORMATS,
+  getFormat,
+  detectFormat,
+  sniffFormat,
+  contentDisposition
+};
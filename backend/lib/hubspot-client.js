@@ -0,0 +1,237 @@
+const axios = require('axios');
+
+/**
+ * HubSpot API client shared by every route.
+ *
+ * - Authenticates each request with the access token of the portal it is made for
+ * - Retries rate-limited requests (429), honouring Retry-After, and server errors,
+ *   timeouts and dropped connections for requests that are safe to repeat
+ * - Applies a timeout to every request
+ * - Throws HubSpotApiError, with HubSpot's status, category and message
+ *
+ * Paths are relative to baseUrl, so the backend can be pointed at the bundled
+ * mock server (mock-hubspot/) instead of api.hubapi.com. Absolute URLs (signed
+ * file URLs) are requested as-is and without the Authorization header.
+ */
+
+const DEFAULT_BASE_URL = 'https://api.hubapi.com';
+
+// Methods that can be repeated after a failure the request may have reached HubSpot
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// Connection failures worth another attempt
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE'];
+
+class HubSpotApiError extends Error {
+  /**
+   * @param {string} message - HubSpot's error message, or a description of the failure
+   * @param {object} [info]
+   * @param {number|null} [info.status] - HTTP status, null when no response was received
+   * @param {string|null} [info.category] - HubSpot error category (e.g. "RATE_LIMITS", "OBJECT_NOT_FOUND")
+   * @param {string|null} [info.correlationId] - HubSpot correlation ID, for support requests
+   * @param {object|null} [info.details] - Response body
+   * @param {string} [info.method] - Request method
+   * @param {string} [info.path] - Request path
+   * @param {Error} [info.cause] - Underlying error
+   */
+  constructor(message, info = {}) {
+    super(message, { cause: info.cause });
+    this.name = 'HubSpotApiError';
+    this.status = info.status ?? null;
+    this.category = info.category || null;
+    this.correlationId = info.correlationId || null;
+    this.details = info.details || null;
+    this.method = info.method;
+    this.path = info.path;
+  }
+}
+
+/**
+ * Convert an axios failure into a HubSpotApiError
+ * @param {Error} error - Error thrown by axios
+ * @param {string} method - Request method
+ * @param {string} path - Request path or URL
+ * @param {number} timeoutMs - Timeout the request was made with
+ * @returns {HubSpotApiError}
+ */
+function toHubSpotApiError(error, method, path, timeoutMs) {
+  const response = error.response;
+  // Streamed error bodies are not read, they are only needed for the status
+  const body = response && response.data && typeof response.data.pipe !== 'function' ? response.data : null;
+  const details = body && typeof body === 'object' && !Buffer.isBuffer(body) ? body : null;
+
+  let message = details?.message || error.message;
+  if (!response && error.code === 'ECONNABORTED') {
+    message = `HubSpot did not respond within ${timeoutMs} ms`;
+  } else if (!response) {
+    message = `Could not reach HubSpot: ${error.message}`;
+  }
+
+  return new HubSpotApiError(message, {
+    status: response?.status ?? null,
+    category: details?.category || (response?.status === 429 ? 'RATE_LIMITS' : null),
+    correlationId: details?.correlationId || null,
+    details,
+    method,
+    path,
+    cause: error
+  });
+}
+
+/**
+ * Delay requested by a Retry-After header
+ * @param {string} [value] - Seconds or an HTTP date
+ * @returns {number|null} Milliseconds, or null without a usable header
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * @param {object} options
+ * @param {function(string): Promise<string>} options.getAccessToken - Access token for a portal ID
+ * @param {string} [options.baseUrl] - API base URL (default https://api.hubapi.com)
+ * @param {number} [options.timeoutMs] - Per-attempt timeout (default 30 s)
+ * @param {number} [options.maxRetries] - Retries after the first attempt (default 3)
+ * @param {number} [options.retryBaseDelayMs] - First backoff delay, doubled per retry (default 500 ms)
+ * @param {number} [options.maxRetryDelayMs] - Longest wait before giving up instead (default 30 s)
+ * @returns {object} HubSpot client
+ */
+function createHubSpotClient(options) {
+  const {
+    getAccessToken,
+    timeoutMs = 30 * 1000,
+    maxRetries = 3,
+    retryBaseDelayMs = 500,
+    maxRetryDelayMs = 30 * 1000
+  } = options;
+  const baseUrl = String(options.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+
+  /**
+   * Delay before the next attempt, or null when the failure is final
+   */
+  function getRetryDelay(error, attempt, idempotent) {
+    if (attempt >= maxRetries) {
+      return null;
+    }
+
+    const status = error.response?.status;
+    const retryable = status === 429 || (idempotent && (
+      (status >= 500 && status !== 501) ||
+      (!error.response && RETRYABLE_ERROR_CODES.includes(error.code))
+    ));
+
+    if (!retryable) {
+      return null;
+    }
+
+    // Exponential backoff with jitter, unless HubSpot says how long to wait
+    const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+    const delay = retryAfter ?? retryBaseDelayMs * 2 ** attempt * (0.5 + Math.random() / 2);
+
+    return delay <= maxRetryDelayMs ? delay : null;
+  }
+
+  /**
+   * Make a request on behalf of a portal
+   * @param {string|number|null} portalId - Portal whose token authenticates the request
+   * @param {object} config - axios request config, plus:
+   * @param {string} config.url - Path relative to the base URL, or an absolute URL
+   * @param {boolean} [config.idempotent] - Also retry server errors for a POST (searches, batch reads)
+   * @param {boolean} [config.authenticate] - Send the portal's access token (default: for relative paths)
+   * @returns {Promise<object>} axios response
+   * @throws {HubSpotApiError}
+   */
+  async function request(portalId, config) {
+    const method = (config.method || 'GET').toUpperCase();
+    const absolute = /^https?:\/\//i.test(config.url);
+    const {
+      idempotent = IDEMPOTENT_METHODS.includes(method),
+      authenticate = !absolute,
+      ...axiosConfig
+    } = config;
+    const requestTimeoutMs = axiosConfig.timeout ?? timeoutMs;
+    const path = absolute ? new URL(config.url).host : config.url;
+
+    // axios' timeout keeps running while a streamed body is read, so streams
+    // are only timed until the response headers arrive
+    const streamed = axiosConfig.responseType === 'stream';
+
+    for (let attempt = 0; ; attempt++) {
+      const controller = streamed ? new AbortController() : null;
+      const timer = streamed ? setTimeout(() => controller.abort(), requestTimeoutMs) : null;
+
+      try {
+        const headers = { ...axiosConfig.headers };
+        if (authenticate) {
+          headers.Authorization = `Bearer ${await getAccessToken(portalId)}`;
+        }
+
+        return await axios.request({
+          ...axiosConfig,
+          method,
+          url: absolute ? config.url : `${baseUrl}${config.url}`,
+          headers,
+          timeout: streamed ? 0 : requestTimeoutMs,
+          signal: controller ? controller.signal : axiosConfig.signal,
+          maxBodyLength: Infinity,
+          maxContentLength: Infinity
+        });
+      } catch (error) {
+        if (!error.isAxiosError) {
+          throw error;
+        }
+
+        if (controller && controller.signal.aborted) {
+          error.code = 'ECONNABORTED';
+        }
+
+        // Release the connection of a streamed error response
+        if (error.response?.data && typeof error.response.data.destroy === 'function') {
+          error.response.data.destroy();
+        }
+
+        const delay = getRetryDelay(error, attempt, idempotent);
+
+        if (delay === null) {
+          throw toHubSpotApiError(error, method, path, requestTimeoutMs);
+        }
+
+        console.warn(
+          `HubSpot ${method} ${path} failed (${error.response?.status || error.code}), ` +
+          `retrying in ${Math.round(delay)} ms (${attempt + 1}/${maxRetries})`
+        );
+        await sleep(delay);
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+  }
+
+  return {
+    baseUrl,
+    request,
+    get: (portalId, url, config = {}) => request(portalId, { ...config, method: 'GET', url }),
+    post: (portalId, url, data, config = {}) => request(portalId, { ...config, method: 'POST', url, data }),
+    patch: (portalId, url, data, config = {}) => request(portalId, { ...config, method: 'PATCH', url, data }),
+    delete: (portalId, url, config = {}) => request(portalId, { ...config, method: 'DELETE', url })
+  };
+}
+
+module.exports = {
+  DEFAULT_BASE_URL,
+  HubSpotApiError,
+  createHubSpotClient
+};
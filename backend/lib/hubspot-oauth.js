@@ -0,0 +1,153 @@
+// Refresh access tokens this long before HubSpot expires them
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+/**
+ * Per-portal OAuth token management.
+ *
+ * Tokens obtained through the install flow are kept in the store under
+ * "oauth-tokens:<portalId>" and refreshed automatically. Without OAuth
+ * credentials every portal uses the private app token. With them, only the
+ * private app's own portal (privateAppPortalId) falls back to it: a private app
+ * token reads a single portal, and handing it out for any other portal would
+ * serve that portal's files to strangers.
+ *
+ * @param {object} options
+ * @param {object} options.store - Store from lib/store
+ * @param {string} [options.clientId] - HubSpot app client ID
+ * @param {string} [options.clientSecret] - HubSpot app client secret
+ * @param {string} [options.redirectUri] - Redirect URI registered with the app
+ * @param {string} [options.privateAppToken] - Static token used when a portal has no OAuth install
+ * @param {string|number} [options.privateAppPortalId] - Portal the private app belongs to
+ * @param {object} options.client - HubSpot client from lib/hubspot-client
+ * @returns {object} Token manager
+ */
+function createOAuthTokenManager(options) {
+  const {
+    store,
+    clientId,
+    clientSecret,
+    redirectUri,
+    privateAppToken,
+    privateAppPortalId,
+    client
+  } = options;
+
+  // Concurrent requests for the same portal share one refresh call
+  const pendingRefreshes = new Map();
+
+  const oauthEnabled = Boolean(clientId && clientSecret);
+
+  async function requestTokens(params) {
+    const response = await client.post(
+      null,
+      '/oauth/v1/token',
+      new URLSearchParams({
+        client_id: clientId,
+        client_secret: clientSecret,
+        ...params
+      }).toString(),
+      {
+        authenticate: false,
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+      }
+    );
+
+    return response.data;
+  }
+
+  function toStoredTokens(portalId, data, previous = {}) {
+    return {
+      ...previous,
+      portalId: String(portalId),
+      accessToken: data.access_token,
+      refreshToken: data.refresh_token || previous.refreshToken,
+      expiresAt: Date.now() + data.expires_in * 1000
+    };
+  }
+
+  /**
+   * Exchange an authorization code from the install flow and store the tokens
+   * @param {string} code - Code passed to /oauth-callback
+   * @returns {Promise<{portalId: string, user: string|null, scopes: string[]}>} Installed portal
+   */
+  async function exchangeCode(code) {
+    if (!oauthEnabled) {
+      throw new Error('OAuth is not configured (HUBSPOT_CLIENT_ID / HUBSPOT_CLIENT_SECRET)');
+    }
+
+    const data = await requestTokens({
+      grant_type: 'authorization_code',
+      redirect_uri: redirectUri,
+      code
+    });
+
+    // The token response does not say which portal it belongs to
+    const infoResponse = await client.get(null, `/oauth/v1/access-tokens/${encodeURIComponent(data.access_token)}`, {
+      authenticate: false
+    });
+    const info = infoResponse.data;
+
+    const tokens = toStoredTokens(info.hub_id, data, {
+      scopes: info.scopes || [],
+      installedBy: info.user || null,
+      installedAt: new Date().toISOString()
+    });
+
+    await store.set(`oauth-tokens:${tokens.portalId}`, tokens);
+
+    return { portalId: tokens.portalId, user: tokens.installedBy, scopes: tokens.scopes };
+  }
+
+  async function refresh(portalId, tokens) {
+    const data = await requestTokens({
+      grant_type: 'refresh_token',
+      refresh_token: tokens.refreshToken
+    });
+
+    const refreshed = toStoredTokens(portalId, data, tokens);
+    await store.set(`oauth-tokens:${portalId}`, refreshed);
+
+    return refreshed;
+  }
+
+  function isPrivateAppPortal(portalId) {
+    return !!portalId && !!privateAppPortalId && String(portalId) === String(privateAppPortalId);
+  }
+
+  /**
+   * Get a valid access token for a portal, refreshing it when needed
+   * @param {string|number} [portalId] - HubSpot portal (hub) ID
+   * @returns {Promise<string>} Access token
+   */
+  async function getAccessToken(portalId) {
+    const tokens = portalId && oauthEnabled
+      ? await store.get(`oauth-tokens:${portalId}`)
+      : null;
+
+    if (!tokens) {
+      if (privateAppToken && (!oauthEnabled || isPrivateAppPortal(portalId))) {
+        return privateAppToken;
+      }
+      throw new Error(`The app is not installed in HubSpot portal ${portalId || '(unknown)'}`);
+    }
+
+    if (Date.now() < tokens.expiresAt - REFRESH_MARGIN_MS) {
+      return tokens.accessToken;
+    }
+
+    const key = String(portalId);
+    if (!pendingRefreshes.has(key)) {
+      pendingRefreshes.set(key, refresh(key, tokens).finally(() => pendingRefreshes.delete(key)));
+    }
+
+    return (await pendingRefreshes.get(key)).accessToken;
+  }
+
+  return {
+    oauthEnabled,
+    exchangeCode,
+    getAccessToken
+  };
+}
+
+module.exports = { createOAuthTokenManager };
@@ -0,0 +1,135 @@
+/**
+ * Origins allowed to call the backend from a browser.
+ *
+ * Origins are compared after parsing, never by substring, against:
+ * - exact origins ("https://my-backend.azurewebsites.net")
+ * - origin patterns, where a leading "*." in the host matches the domain itself
+ *   and any subdomain, and ":*" matches any port ("https://*.hubspot.com",
+ *   "http://localhost:*"). Patterns are anchored: "https://*.hubspot.com" does
+ *   not match "https://evil-hubspot.com" or "https://hubspot.com.attacker.io".
+ *
+ * HubSpot patterns are kept apart from the other allowed origins because they
+ * also identify requests coming from HubSpot itself (see validateHubSpotRequest).
+ */
+
+const DEFAULT_HUBSPOT_PATTERNS = [
+  'https://*.hubspot.com',
+  'https://*.hubspotusercontent.com',
+  'https://*.hs-sites.com',
+  'https://*.hubspotpreview.com'
+];
+
+// Only allowed with the development profile
+const DEVELOPMENT_PATTERNS = [
+  'http://localhost:*',
+  'http://127.0.0.1:*',
+  'https://*.ngrok-free.app',
+  'https://*.ngrok.app',
+  'https://*.ngrok.io'
+];
+
+/**
+ * Normalize an origin, or the origin of a URL such as a Referer
+ * @param {string} value - Origin or URL
+ * @returns {string|null} "scheme://host[:port]", or null when not an http(s) URL
+ */
+function normalizeOrigin(value) {
+  if (!value) {
+    return null;
+  }
+
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.origin : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Compile an origin pattern into an anchored regular expression
+ * @param {string} pattern - e.g. "https://*.hubspot.com" or "http://localhost:*"
+ * @returns {RegExp}
+ */
+function compilePattern(pattern) {
+  const match = /^(https?):\/\/(\*\.)?([a-z0-9.-]+)(:\*|:\d+)?$/i.exec(String(pattern).trim());
+  if (!match) {
+    throw new Error(`Invalid origin pattern "${pattern}" (expected e.g. https://*.example.com or http://localhost:*)`);
+  }
+
+  const [, scheme, wildcard, host, port] = match;
+  const escapedHost = host.toLowerCase().replace(/[.]/g, '\\.');
+
+  let portSource = '';
+  if (port === ':*') {
+    portSource = '(:\\d+)?';
+  } else if (port) {
+    portSource = port;
+  }
+
+  return new RegExp(`^${scheme.toLowerCase()}:\\/\\/${wildcard ? '([a-z0-9-]+\\.)*' : ''}${escapedHost}${portSource}$`);
+}
+
+/**
+ * @param {object} [options]
+ * @param {string[]} [options.origins] - Exact origins to allow (the backend's own origin, custom domains)
+ * @param {string[]} [options.hubspotPatterns] - HubSpot origin patterns (default: HubSpot's domains)
+ * @param {boolean} [options.development] - Also allow localhost and ngrok tunnels
+ * @returns {object} Origin policy
+ */
+function createOriginPolicy(options = {}) {
+  const development = Boolean(options.development);
+
+  const origins = new Set((options.origins || []).map((origin) => {
+    const normalized = normalizeOrigin(origin);
+    if (!normalized) {
+      throw new Error(`Invalid allowed origin "${origin}"`);
+    }
+    return normalized;
+  }));
+
+  const hubspotPatterns = (options.hubspotPatterns || DEFAULT_HUBSPOT_PATTERNS).map(compilePattern);
+  const developmentPatterns = development ? DEVELOPMENT_PATTERNS.map(compilePattern) : [];
+
+  /**
+   * Whether an origin (or the origin of a URL) belongs to HubSpot
+   * @param {string} value - Origin header or Referer URL
+   * @returns {boolean}
+   */
+  function isHubSpotOrigin(value) {
+    const origin = normalizeOrigin(value);
+    return Boolean(origin) && hubspotPatterns.some(pattern => pattern.test(origin));
+  }
+
+  /**
+   * Whether browsers on an origin may call the backend
+   * @param {string} value - Origin header
+   * @returns {boolean}
+   */
+  function isAllowedOrigin(value) {
+    const origin = normalizeOrigin(value);
+    if (!origin) {
+      return false;
+    }
+
+    return (
+      origins.has(origin) ||
+      hubspotPatterns.some(pattern => pattern.test(origin)) ||
+      developmentPatterns.some(pattern => pattern.test(origin))
+    );
+  }
+
+  return {
+    profile: development ? 'development' : 'production',
+    origins: [...origins],
+    isHubSpotOrigin,
+    isAllowedOrigin
+  };
+}
+
+module.exports = {
+  DEFAULT_HUBSPOT_PATTERNS,
+  DEVELOPMENT_PATTERNS,
+  createOriginPolicy,
+  normalizeOrigin
+};
@@ -0,0 +1,83 @@
+const net = require('net');
+
+// clamd reads INSTREAM data in chunks prefixed with their length
+const CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Scans content with a ClamAV daemon (clamd) using the INSTREAM command,
+ * over a unix socket or TCP.
+ */
+class ClamAVScanner {
+  /**
+   * @param {object} options
+   * @param {string} [options.socketPath] - e.g. /var/run/clamav/clamd.ctl
+   * @param {string} [options.host] - Used when no socket path is set (default 127.0.0.1)
+   * @param {number} [options.port] - Default 3310
+   * @param {number} [options.timeoutMs] - Default 30 s
+   */
+  constructor(options = {}) {
+    this.socketPath = options.socketPath || null;
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port || 3310;
+    this.timeoutMs = options.timeoutMs || 30000;
+  }
+
+  connect() {
+    return this.socketPath
+      ? net.createConnection({ path: this.socketPath })
+      : net.createConnection({ host: this.host, port: this.port });
+  }
+
+  /**
+   * @param {Buffer} buffer - Content to scan
+   * @returns {Promise<{clean: boolean, signature?: string}>} Scan result
+   */
+  scan(buffer) {
+    return new Promise((resolve, reject) => {
+      const socket = this.connect();
+      const response = [];
+
+      socket.setTimeout(this.timeoutMs, () => {
+        socket.destroy(new Error(`ClamAV scan timed out after ${this.timeoutMs} ms`));
+      });
+
+      socket.on('connect', () => {
+        socket.write('zINSTREAM\0');
+
+        for (let offset = 0; offset < buffer.length; offset += CHUNK_SIZE) {
+          const chunk = buffer.subarray(offset, offset + CHUNK_SIZE);
+          const length = Buffer.alloc(4);
+          length.writeUInt32BE(chunk.length, 0);
+          socket.write(length);
+          socket.write(chunk);
+        }
+
+        // A zero-length chunk ends the stream
+        socket.write(Buffer.alloc(4));
+      });
+
+      socket.on('data', chunk => response.push(chunk));
+      socket.on('error', reject);
+
+      socket.on('close', (hadError) => {
+        if (hadError) {
+          return;
+        }
+
+        // "stream: OK" or "stream: <signature> FOUND"
+        const reply = Buffer.concat(response).toString('utf8').replace(/\0/g, '').trim();
+        const found = /^stream: (.+) FOUND$/.exec(reply);
+
+        if (reply === 'stream: OK') {
+          resolve({ clean: true });
+        } else if (found) {
+          resolve({ clean: false, signature: found[1] });
+        } else {
+          reject(new Error(`Unexpected ClamAV reply: ${reply || '(empty)'}`));
+        }
+      });
+    });
+  }
+}
+
+module.exports = ClamAVScanner;
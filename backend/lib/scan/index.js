@@ -0,0 +1,55 @@
+/**
+ * Pluggable malware scanning for uploads.
+ *
+ * Every scanner implements the same async interface:
+ *   scan(buffer, { filename }) -> { clean: true } or { clean: false, signature }
+ * and throws when the file could not be scanned (uploads are then rejected).
+ */
+const path = require('path');
+
+/**
+ * Create the scanner selected by configuration
+ * @param {object} config
+ * @param {string} [config.driver] - "none" (default), "clamav" or "module"
+ * @param {string} [config.clamavSocket] - clamd unix socket, used by the clamav driver
+ * @param {string} [config.clamavHost] - clamd TCP host, used when no socket is set
+ * @param {number} [config.clamavPort] - clamd TCP port (default 3310)
+ * @param {number} [config.timeoutMs] - Scan timeout (default 30 s)
+ * @param {string} [config.modulePath] - Module exporting scan(buffer, info), used by the module driver
+ * @returns {{driver: string, scan: function}} Scanner
+ */
+function createScanner(config = {}) {
+  const driver = (config.driver || 'none').toLowerCase();
+
+  switch (driver) {
+    case 'none':
+      return { driver, scan: async () => ({ clean: true }) };
+
+    case 'clamav': {
+      const ClamAVScanner = require('./clamav');
+      const scanner = new ClamAVScanner({
+        socketPath: config.clamavSocket,
+        host: config.clamavHost,
+        port: config.clamavPort,
+        timeoutMs: config.timeoutMs
+      });
+      return { driver, scan: (buffer, info) => scanner.scan(buffer, info) };
+    }
+
+    case 'module': {
+      if (!config.modulePath) {
+        throw new Error('UPLOAD_SCAN_MODULE is required when UPLOAD_SCAN_DRIVER=module');
+      }
+      const custom = require(path.resolve(config.modulePath));
+      if (typeof custom.scan !== 'function') {
+        throw new Error(`${config.modulePath} must export an async scan(buffer, info) function`);
+      }
+      return { driver, scan: (buffer, info) => custom.scan(buffer, info) };
+    }
+
+    default:
+      throw new Error(`Unknown UPLOAD_SCAN_DRIVER "${driver}". Use none, clamav or module.`);
+  }
+}
+
+module.exports = { createScanner };
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+const MemoryStore = require('./memory');
+
+/**
+ * JSON file backed store. Keeps entries in memory and rewrites the file after
+ * changes, so entries survive restarts of a single instance.
+ *
+ * Changes made within flushDelayMs of each other are written together (a card
+ * listing issues one viewer token per file), so a crash can lose the last
+ * moments of changes. close() writes whatever is pending.
+ * Use the Redis store when running more than one instance.
+ */
+class FileStore extends MemoryStore {
+  /**
+   * @param {object} options
+   * @param {string} options.filePath - Location of the JSON file
+   * @param {number} [options.flushDelayMs] - How long changes are collected before the file is written
+   */
+  constructor(options) {
+    super(options);
+    this.filePath = path.resolve(options.filePath);
+    this.flushDelayMs = options.flushDelayMs ?? 100;
+    this.flushTimer = null;
+    this.writeQueue = Promise.resolve();
+    this.load();
+  }
+
+  load() {
+    let data;
+
+    try {
+      data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`File store: could not read ${this.filePath}: ${error.message}`);
+      }
+      return;
+    }
+
+    for (const [key, entry] of Object.entries(data)) {
+      this.entries.set(key, entry);
+    }
+    this.sweep();
+  }
+
+  /**
+   * Schedule a write of the current entries, unless one is already scheduled
+   */
+  persist() {
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.flushDelayMs);
+      this.flushTimer.unref();
+    }
+  }
+
+  /**
+   * Write the entries now. Writes are serialized so they never interleave on
+   * disk, and go to a temp file first that is renamed into place.
+   * @returns {Promise<void>} Resolves once the file is written
+   */
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    this.writeQueue = this.writeQueue
+      .then(async () => {
+        const tmpPath = `${this.filePath}.tmp`;
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(tmpPath, JSON.stringify(Object.fromEntries(this.entries)));
+        await fs.promises.rename(tmpPath, this.filePath);
+      })
+      .catch((error) => {
+        console.error(`File store: could not write ${this.filePath}: ${error.message}`);
+      });
+
+    return this.writeQueue;
+  }
+
+  async set(key, value, ttlMs) {
+    await super.set(key, value, ttlMs);
+    this.persist();
+  }
+
+  async take(key) {
+    const value = await this.get(key);
+    await this.delete(key);
+    return value;
+  }
+
+  async delete(key) {
+    if (this.entries.delete(key)) {
+      this.persist();
+    }
+  }
+
+  async close() {
+    await super.close();
+    if (this.flushTimer) {
+      await this.flush();
+    }
+    await this.writeQueue;
+  }
+}
+
+module.exports = FileStore;
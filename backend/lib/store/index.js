@@ -0,0 +1,47 @@
+/**
+ * Pluggable key/value storage used for viewer tokens and other short-lived state.
+ *
+ * Every store implements the same async interface:
+ *   get(key)               -> value or null when missing/expired
+ *   set(key, value, ttlMs) -> stores a JSON-serializable value (no TTL = no expiry)
+ *   take(key)              -> atomically returns and deletes a value (null when missing)
+ *   delete(key)
+ *   close()
+ */
+const MemoryStore = require('./memory');
+
+/**
+ * Create the store selected by configuration
+ * @param {object} config
+ * @param {string} [config.driver] - "memory" (default), "file" or "redis"
+ * @param {string} [config.filePath] - JSON file used by the file driver
+ * @param {string} [config.redisUrl] - Connection URL used by the redis driver
+ * @param {string} [config.keyPrefix] - Key prefix used by the redis driver
+ * @returns {object} Store instance
+ */
+function createStore(config = {}) {
+  const driver = (config.driver || 'memory').toLowerCase();
+
+  switch (driver) {
+    case 'memory':
+      return new MemoryStore();
+
+    case 'file': {
+      const FileStore = require('./file');
+      return new FileStore({ filePath: config.filePath || './data/store.json' });
+    }
+
+    case 'redis': {
+      if (!config.redisUrl) {
+        throw new Error('STORE_REDIS_URL is required when STORE_DRIVER=redis');
+      }
+      const RedisStore = require('./redis');
+      return new RedisStore({ url: config.redisUrl, keyPrefix: config.keyPrefix });
+    }
+
+    default:
+      throw new Error(`Unknown STORE_DRIVER "${driver}". Use memory, file or redis.`);
+  }
+}
+
+module.exports = { createStore };
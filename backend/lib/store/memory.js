@@ -0,0 +1,65 @@
+/**
+ * In-process key/value store. Fast and dependency free, but entries are lost
+ * on restart and are not shared between instances.
+ */
+class MemoryStore {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.sweepIntervalMs] - How often expired entries are purged
+   */
+  constructor(options = {}) {
+    this.entries = new Map();
+
+    // Periodic sweep instead of one timer per entry
+    this.sweepTimer = setInterval(() => this.sweep(), options.sweepIntervalMs || 60 * 1000);
+    this.sweepTimer.unref();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt && Date.now() > entry.expiresAt) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.set(key, {
+      value,
+      expiresAt: ttlMs ? Date.now() + ttlMs : null
+    });
+  }
+
+  async take(key) {
+    const value = await this.get(key);
+    this.entries.delete(key);
+    return value;
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  sweep() {
+    const now = Date.now();
+
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt && now > entry.expiresAt) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  async close() {
+    clearInterval(this.sweepTimer);
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,59 @@
+const Redis = require('ioredis');
+
+/**
+ * Redis protocol store (Redis, Azure Cache for Redis, Valkey, KeyDB...).
+ * Entries survive restarts and are shared by every instance using the same server.
+ */
+class RedisStore {
+  /**
+   * @param {object} options
+   * @param {string} options.url - Connection URL, e.g. rediss://:password@host:6380
+   * @param {string} [options.keyPrefix] - Prefix applied to every key
+   */
+  constructor(options) {
+    this.client = new Redis(options.url, {
+      keyPrefix: options.keyPrefix || 'nutrient-hubspot:',
+      lazyConnect: false
+    });
+
+    this.client.on('error', (error) => {
+      console.error(`Redis store: ${error.message}`);
+    });
+  }
+
+  async get(key) {
+    const raw = await this.client.get(key);
+    return raw === null ? null : JSON.parse(raw);
+  }
+
+  async set(key, value, ttlMs) {
+    const raw = JSON.stringify(value);
+
+    if (ttlMs) {
+      await this.client.set(key, raw, 'PX', Math.ceil(ttlMs));
+    } else {
+      await this.client.set(key, raw);
+    }
+  }
+
+  async take(key) {
+    // MULTI keeps GET + DEL atomic on servers without GETDEL (Redis < 6.2)
+    const [[getError, raw], [delError]] = await this.client.multi().get(key).del(key).exec();
+
+    if (getError || delError) {
+      throw getError || delError;
+    }
+
+    return raw === null ? null : JSON.parse(raw);
+  }
+
+  async delete(key) {
+    await this.client.del(key);
+  }
+
+  async close() {
+    await this.client.quit();
+  }
+}
+
+module.exports = RedisStore;
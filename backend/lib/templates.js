@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+
+// {{#if name}}...{{/if}} without another section inside
+const SECTION = /\{\{#if\s+([\w.]+)\s*\}\}((?:(?!\{\{#if)[\s\S])*?)\{\{\/if\s*\}\}/g;
+
+/**
+ * HTML page templates with contextual escaping.
+ *
+ * Templates are plain HTML files with three kinds of tags:
+ *
+ *   {{ name }}              Text, HTML-escaped (element content and quoted attributes)
+ *   {{ json name }}         Value as JSON, for <script type="application/json"> blocks
+ *   {{#if name}}...{{/if}}  Section kept only when the value is truthy
+ *
+ * Names may be dotted paths into the data ("session.scope"). There is no tag for
+ * raw HTML, and scripts read their parameters from a JSON block instead of having
+ * values spliced into code. A value missing from the data is an error rather than
+ * an empty string, so typos in templates do not go unnoticed.
+ *
+ * @param {object} options
+ * @param {string} options.dir - Directory holding "<name>.html" templates
+ * @param {boolean} [options.cache] - Keep templates in memory after the first read (default true)
+ * @returns {object} Template renderer
+ */
+function createTemplates(options) {
+  const dir = path.resolve(options.dir);
+  const cache = options.cache !== false;
+  const sources = new Map();
+
+  function load(name) {
+    if (!/^[\w-]+$/.test(name)) {
+      throw new Error(`Invalid template name "${name}"`);
+    }
+
+    if (cache && sources.has(name)) {
+      return sources.get(name);
+    }
+
+    const source = fs.readFileSync(path.join(dir, `${name}.html`), 'utf8');
+    if (cache) {
+      sources.set(name, source);
+    }
+
+    return source;
+  }
+
+  /**
+   * Render a template
+   * @param {string} name - Template name, without ".html"
+   * @param {object} data - Values referenced by the template
+   * @returns {string} HTML
+   */
+  function render(name, data) {
+    const lookup = key => key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), data);
+
+    // Innermost sections first, so sections can be nested
+    let html = load(name);
+    let previous;
+    do {
+      previous = html;
+      html = html.replace(SECTION, (match, key, section) => (lookup(key) ? section : ''));
+    } while (html !== previous);
+
+    return html.replace(/\{\{\s*(json\s+)?([\w.]+)\s*\}\}/g, (match, json, key) => {
+      const value = lookup(key);
+
+      if (value === undefined) {
+        throw new Error(`Template "${name}" references missing value "${key}"`);
+      }
+
+      return json ? escapeJson(value) : escapeHtml(value);
+    });
+  }
+
+  return { render };
+}
+
+/**
+ * Escape text for use in HTML element content and quoted attributes
+ * @param {string} value - Untrusted text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Serialize a value as JSON that is safe inside a <script> element: markup
+ * characters cannot close the element, and the line separators JavaScript
+ * treats as line breaks are escaped
+ * @param {*} value - JSON-serializable value
+ * @returns {string} JSON text
+ */
+function escapeJson(value) {
+  return JSON.stringify(value)
+    .replace(/</g, '\\u003c')
+    .replace(/>/g, '\\u003e')
+    .replace(/&/g, '\\u0026')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+module.exports = {
+  createTemplates,
+  escapeHtml,
+  escapeJson
+};
@@ -0,0 +1,266 @@
+const fs = require('fs');
+const { getFormat } = require('./formats');
+
+/**
+ * Viewer configuration per deployment: toolbar, theme, brand colors, locale,
+ * initial view and which viewer features are enabled.
+ *
+ * Read from a JSON file (VIEWER_CONFIG_PATH, see viewer-config.example.json):
+ *
+ *   {
+ *     "defaults":  { ...settings },
+ *     "fileTypes": { "pdf": { ...settings }, "docx": { ...settings } },
+ *     "portals":   { "12345678": { ...settings, "fileTypes": { ... } } }
+ *   }
+ *
+ * File types are format categories from lib/formats (pdf, word, excel,
+ * powerpoint, image, text) or file extensions. Settings are applied in this
+ * order, later ones winning: built-in defaults, defaults, file category, file
+ * extension, portal, portal file category, portal file extension. Objects are
+ * merged key by key, arrays (toolbar.items, toolbar.hide) replace each other.
+ *
+ * Features are switched off in the viewer UI. The document itself is still
+ * streamed to the browser, so this is not a protection against a determined user.
+ */
+
+const THEMES = ['light', 'dark', 'auto', 'high-contrast-light', 'high-contrast-dark'];
+
+// Locales bundled with @nutrient-sdk/viewer
+const LOCALES = [
+  'ar', 'cs', 'cy', 'da', 'de', 'el', 'en', 'en-GB', 'es', 'fi', 'fr', 'fr-CA', 'he', 'hr', 'id', 'it',
+  'ja', 'ko', 'ms', 'nb-NO', 'nl', 'pl', 'pt', 'pt-PT', 'ru', 'sk', 'sl', 'sv', 'th', 'tr', 'uk',
+  'zh-Hans', 'zh-Hant'
+];
+
+const LAYOUTS = ['single', 'double', 'auto'];
+const SCROLL_MODES = ['continuous', 'per-spread'];
+const ZOOM_MODES = ['auto', 'fit-to-width', 'fit-to-viewport'];
+const SIDEBARS = ['thumbnails', 'outline', 'annotations', 'bookmarks'];
+const TOOLBAR_PLACEMENTS = ['top', 'bottom'];
+
+const FEATURES = [
+  'print',          // Print button and printing the page
+  'download',       // Export (download) PDF button
+  'annotations',    // Annotation tools, and editing existing annotations
+  'forms',          // Filling in form fields
+  'textSelection',  // Selecting and copying text
+  'search',         // Search button
+  'documentEditor', // Page editing (also needs the edit scope)
+  'contentEditor'   // Text and image editing (also needs the edit scope)
+];
+
+const DEFAULT_VIEWER_SETTINGS = {
+  theme: 'light',
+  colors: { primary: null, header: null, headerText: null },
+  locale: 'auto',
+  initialView: { layout: 'single', scroll: 'continuous', zoom: 'auto', sidebar: null },
+  // items: toolbar item types in order (null: Nutrient's default toolbar), hide: item types to remove
+  toolbar: { items: null, hide: [], placement: 'top' },
+  features: Object.fromEntries(FEATURES.map(feature => [feature, true]))
+};
+
+const COLOR_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function fail(where, message) {
+  throw new Error(`Invalid viewer configuration at ${where}: ${message}`);
+}
+
+function checkKeys(value, allowed, where) {
+  if (!isPlainObject(value)) {
+    fail(where, 'expected an object');
+  }
+  const unknown = Object.keys(value).filter(key => !allowed.includes(key));
+  if (unknown.length > 0) {
+    fail(where, `unknown setting "${unknown[0]}" (expected one of ${allowed.join(', ')})`);
+  }
+}
+
+function checkOneOf(value, allowed, where) {
+  if (value !== undefined && !allowed.includes(value)) {
+    fail(where, `"${value}" is not one of ${allowed.join(', ')}`);
+  }
+}
+
+/**
+ * Validate a settings object (defaults, a file type or a portal entry)
+ * @param {object} settings - Partial settings
+ * @param {string} where - Location in the file, for error messages
+ * @param {boolean} [allowFileTypes] - Whether nested fileTypes are allowed (portal entries)
+ */
+function validateSettings(settings, where, allowFileTypes = false) {
+  const keys = Object.keys(DEFAULT_VIEWER_SETTINGS).concat(allowFileTypes ? ['fileTypes'] : []);
+  checkKeys(settings, keys, where);
+
+  checkOneOf(settings.theme, THEMES, `${where}.theme`);
+  checkOneOf(settings.locale, ['auto', ...LOCALES], `${where}.locale`);
+
+  if (settings.colors !== undefined) {
+    checkKeys(settings.colors, Object.keys(DEFAULT_VIEWER_SETTINGS.colors), `${where}.colors`);
+    for (const [name, color] of Object.entries(settings.colors)) {
+      if (color !== null && !COLOR_PATTERN.test(color)) {
+        fail(`${where}.colors.${name}`, `"${color}" is not a hex color such as #ff7a59`);
+      }
+    }
+  }
+
+  if (settings.initialView !== undefined) {
+    const view = settings.initialView;
+    checkKeys(view, Object.keys(DEFAULT_VIEWER_SETTINGS.initialView), `${where}.initialView`);
+    checkOneOf(view.layout, LAYOUTS, `${where}.initialView.layout`);
+    checkOneOf(view.scroll, SCROLL_MODES, `${where}.initialView.scroll`);
+    if (view.zoom !== undefined && !ZOOM_MODES.includes(view.zoom) && !(typeof view.zoom === 'number' && view.zoom > 0)) {
+      fail(`${where}.initialView.zoom`, `expected a positive number or one of ${ZOOM_MODES.join(', ')}`);
+    }
+    if (view.sidebar !== null) {
+      checkOneOf(view.sidebar, SIDEBARS, `${where}.initialView.sidebar`);
+    }
+  }
+
+  if (settings.toolbar !== undefined) {
+    const toolbar = settings.toolbar;
+    checkKeys(toolbar, Object.keys(DEFAULT_VIEWER_SETTINGS.toolbar), `${where}.toolbar`);
+    for (const key of ['items', 'hide']) {
+      const list = toolbar[key];
+      const nullable = key === 'items';
+      if (list !== undefined && !(nullable && list === null) &&
+        !(Array.isArray(list) && list.every(item => typeof item === 'string' && item))) {
+        fail(`${where}.toolbar.${key}`, `expected a list of toolbar item types${nullable ? ' or null' : ''}`);
+      }
+    }
+    checkOneOf(toolbar.placement, TOOLBAR_PLACEMENTS, `${where}.toolbar.placement`);
+  }
+
+  if (settings.features !== undefined) {
+    checkKeys(settings.features, FEATURES, `${where}.features`);
+    for (const [feature, enabled] of Object.entries(settings.features)) {
+      if (typeof enabled !== 'boolean') {
+        fail(`${where}.features.${feature}`, 'expected true or false');
+      }
+    }
+  }
+
+  if (settings.fileTypes !== undefined) {
+    validateFileTypes(settings.fileTypes, `${where}.fileTypes`);
+  }
+}
+
+function validateFileTypes(fileTypes, where) {
+  if (!isPlainObject(fileTypes)) {
+    fail(where, 'expected an object keyed by file category or extension');
+  }
+  for (const [type, settings] of Object.entries(fileTypes)) {
+    validateSettings(settings, `${where}.${type}`);
+  }
+}
+
+/**
+ * Merge partial settings over resolved settings: objects key by key, everything
+ * else (including arrays) replaced
+ */
+function mergeSettings(base, partial) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(partial || {})) {
+    if (key === 'fileTypes') {
+      continue;
+    }
+    merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? { ...base[key], ...value } : value;
+  }
+  return merged;
+}
+
+/**
+ * Settings of a fileTypes map that apply to a file, category first
+ */
+function fileTypeLayers(fileTypes, extension) {
+  if (!fileTypes) {
+    return [];
+  }
+  const ext = String(extension || '').replace(/^\./, '').toLowerCase();
+  const { category } = getFormat(ext);
+  return [fileTypes[category], ext && ext !== category ? fileTypes[ext] : undefined];
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.path] - JSON configuration file (default: built-in settings only)
+ * @returns {object} Viewer configuration
+ * @throws {Error} When the file cannot be read or contains invalid settings
+ */
+function createViewerConfig(options = {}) {
+  let file = { defaults: {}, fileTypes: {}, portals: {} };
+
+  if (options.path) {
+    try {
+      file = { ...file, ...JSON.parse(fs.readFileSync(options.path, 'utf8')) };
+    } catch (error) {
+      throw new Error(`Could not read viewer configuration ${options.path}: ${error.message}`);
+    }
+
+    checkKeys(file, ['defaults', 'fileTypes', 'portals'], 'the top level');
+    validateSettings(file.defaults, 'defaults');
+    validateFileTypes(file.fileTypes, 'fileTypes');
+    if (!isPlainObject(file.portals)) {
+      fail('portals', 'expected an object keyed by portal ID');
+    }
+    for (const [portalId, settings] of Object.entries(file.portals)) {
+      validateSettings(settings, `portals.${portalId}`, true);
+    }
+  }
+
+  /**
+   * Resolve the settings for a file opened from a portal
+   * @param {object} [context]
+   * @param {string|number|null} [context.portalId] - Portal the file was opened from
+   * @param {string} [context.extension] - File extension
+   * @returns {object} Complete settings
+   */
+  function resolve({ portalId, extension } = {}) {
+    const portal = portalId ? file.portals[String(portalId)] : undefined;
+
+    return [
+      file.defaults,
+      ...fileTypeLayers(file.fileTypes, extension),
+      portal,
+      ...fileTypeLayers(portal && portal.fileTypes, extension)
+    ].reduce(mergeSettings, DEFAULT_VIEWER_SETTINGS);
+  }
+
+  return {
+    source: options.path || null,
+    portalIds: Object.keys(file.portals),
+    resolve
+  };
+}
+
+/**
+ * Stylesheet applying brand colors inside the viewer (passed to Nutrient as
+ * styleSheets). Nutrient derives its accent colors from these variables.
+ * @param {object} colors - Resolved colors
+ * @returns {string} CSS, empty without a primary color
+ */
+function brandStyleSheet(colors) {
+  if (!colors || !colors.primary || !COLOR_PATTERN.test(colors.primary)) {
+    return '';
+  }
+
+  return [
+    ':root, :host {',
+    `  --color-blue600: ${colors.primary};`,
+    `  --color-blue700: ${colors.primary};`,
+    `  --color-blue800: ${colors.primary};`,
+    '}',
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  DEFAULT_VIEWER_SETTINGS,
+  FEATURES,
+  LOCALES,
+  brandStyleSheet,
+  createViewerConfig
+};
@@ -0,0 +1,504 @@
+/**
+ * Stand-in for the parts of the HubSpot API the backend uses, for offline demos
+ * and automated tests:
+ * - CRM: associations (v4), batch reads, single reads and updates, and note creation
+ * - Files: search (by ID or folder), metadata, signed URLs with Range support,
+ *   upload, replace and delete, and folder search by path
+ * - OAuth: code exchange, refresh and access token info
+ * - Settings: users (teams and super admin flag)
+ *
+ * State is kept in memory, seeded from fixtures.json and files/, and reset on
+ * restart. Any bearer token is accepted.
+ *
+ *   npm run mock-hubspot
+ *   HUBSPOT_API_BASE_URL=http://localhost:3100 HUBSPOT_PRIVATE_APP_TOKEN=mock-token npm start
+ *
+ * MOCK_HUBSPOT_RATE_LIMIT_EVERY=n answers every nth API request with a 429 and
+ * MOCK_HUBSPOT_LATENCY_MS delays every response, to exercise retries and timeouts.
+ */
+const express = require('express');
+const multer = require('multer');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { getFormat } = require('../lib/formats');
+
+// "note to <object>" association type IDs, as used by the backend
+const NOTE_ASSOCIATION_TYPES = {
+  202: 'contacts',
+  190: 'companies',
+  214: 'deals',
+  228: 'tickets'
+};
+
+const SIGNED_URL_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.fixturesPath] - Seed data (default: fixtures.json next to this file)
+ * @param {number} [options.rateLimitEvery] - Answer every nth API request with a 429 (default: never)
+ * @param {number} [options.latencyMs] - Delay before every response
+ * @param {boolean} [options.quiet] - Do not log requests
+ * @returns {import('express').Express} Mock HubSpot app
+ */
+function createMockHubSpot(options = {}) {
+  const fixturesPath = options.fixturesPath || path.join(__dirname, 'fixtures.json');
+  const fixtures = JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+  const portalId = String(fixtures.portalId || '12345678');
+
+  // "<type>:<id>" -> { id, properties, createdAt, updatedAt }, for CRM objects and engagements
+  const records = new Map();
+  // "<type>:<id>" -> Map of associated type -> Set of IDs (both directions are kept)
+  const associations = new Map();
+  // File ID -> { meta, content }
+  const files = new Map();
+  // Folder path -> { id, name, path, parentFolderId }, created as files are put in them
+  const folders = new Map();
+  const signedUrls = new Map();
+  const issuedTokens = new Set();
+
+  let nextId = 90000;
+  let apiRequests = 0;
+
+  const now = () => new Date().toISOString();
+
+  function putRecord(type, record) {
+    const createdAt = record.createdAt || now();
+    records.set(`${type}:${record.id}`, {
+      id: String(record.id),
+      properties: { ...record.properties, hs_object_id: String(record.id) },
+      createdAt,
+      updatedAt: record.updatedAt || createdAt
+    });
+  }
+
+  function associate(fromType, fromId, toType, toId) {
+    for (const [type, id, otherType, otherId] of [[fromType, fromId, toType, toId], [toType, toId, fromType, fromId]]) {
+      const key = `${type}:${id}`;
+      if (!associations.has(key)) {
+        associations.set(key, new Map());
+      }
+      const byType = associations.get(key);
+      if (!byType.has(otherType)) {
+        byType.set(otherType, new Set());
+      }
+      byType.get(otherType).add(String(otherId));
+    }
+  }
+
+  function putFolder(folderPath) {
+    const normalized = `/${String(folderPath || '').split('/').filter(Boolean).join('/')}`;
+    if (normalized === '/') {
+      return null;
+    }
+
+    if (!folders.has(normalized)) {
+      const parent = putFolder(path.posix.dirname(normalized));
+      const timestamp = now();
+      folders.set(normalized, {
+        id: String(nextId++),
+        name: path.posix.basename(normalized),
+        path: normalized,
+        parentFolderId: parent ? parent.id : null,
+        archived: false,
+        createdAt: timestamp,
+        updatedAt: timestamp
+      });
+    }
+    return folders.get(normalized);
+  }
+
+  function putFile(file, content) {
+    const extension = String(file.extension || '').toLowerCase();
+    const timestamp = file.updatedAt || now();
+    const folder = putFolder(file.folderPath);
+
+    files.set(String(file.id), {
+      meta: {
+        id: String(file.id),
+        name: file.name,
+        extension,
+        type: getFormat(extension).category === 'image' ? 'IMG' : 'DOCUMENT',
+        size: content.length,
+        path: `${folder ? folder.path : ''}/${file.name}${extension ? `.${extension}` : ''}`,
+        parentFolderId: folder ? folder.id : null,
+        access: file.access || 'PRIVATE',
+        archived: false,
+        createdAt: file.createdAt || timestamp,
+        updatedAt: timestamp
+      },
+      content,
+      // As uploaded; fixtures are served by their extension
+      contentType: file.contentType || null
+    });
+  }
+
+  for (const [type, list] of Object.entries(fixtures.objects || {})) {
+    list.forEach(record => putRecord(type, record));
+  }
+
+  for (const [type, list] of Object.entries(fixtures.engagements || {})) {
+    for (const engagement of list) {
+      putRecord(type, engagement);
+      for (const [objectType, ids] of Object.entries(engagement.associations || {})) {
+        ids.forEach(id => associate(type, engagement.id, objectType, id));
+      }
+    }
+  }
+
+  for (const file of fixtures.files || []) {
+    putFile(file, fs.readFileSync(path.join(path.dirname(fixturesPath), 'files', file.source)));
+  }
+
+  const app = express();
+  const upload = multer({ storage: multer.memoryStorage() });
+
+  app.use(express.json({ limit: '10mb' }));
+  app.use(express.urlencoded({ extended: false }));
+
+  function sendError(res, status, category, message) {
+    res.status(status).json({ status: 'error', message, correlationId: crypto.randomUUID(), category });
+  }
+
+  function origin(req) {
+    return `${req.protocol}://${req.get('host')}`;
+  }
+
+  function toFileResponse(req, file) {
+    const url = `${origin(req)}/hubfs/${file.meta.id}/${encodeURIComponent(file.meta.name)}.${file.meta.extension}`;
+    return { ...file.meta, url, defaultHostingUrl: url };
+  }
+
+  function pickProperties(record, names) {
+    if (!names || names.length === 0) {
+      return record.properties;
+    }
+    return Object.fromEntries(names.filter(name => name in record.properties).map(name => [name, record.properties[name]]));
+  }
+
+  app.use((req, res, next) => {
+    if (!options.quiet) {
+      res.on('finish', () => console.log(`mock-hubspot ${req.method} ${req.originalUrl} -> ${res.statusCode}`));
+    }
+
+    const delay = options.latencyMs || 0;
+    setTimeout(next, delay);
+  });
+
+  // File content behind signed URLs, like HubSpot's CDN: no Authorization header
+  app.get('/_content/:fileId', (req, res) => {
+    const grant = signedUrls.get(req.query.token);
+    const file = files.get(req.params.fileId);
+
+    if (!grant || grant.fileId !== req.params.fileId || grant.expiresAt < Date.now() || !file) {
+      // HubSpot answers expired signed URLs with an HTML error page
+      return res.status(403).type('html').send('<!DOCTYPE html><html><body><h1>403 Forbidden</h1></body></html>');
+    }
+
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.type(file.contentType || getFormat(file.meta.extension).mime);
+
+    const range = req.headers.range ? req.range(file.content.length) : null;
+    if (range === -1) {
+      res.setHeader('Content-Range', `bytes */${file.content.length}`);
+      return res.status(416).end();
+    }
+
+    if (Array.isArray(range) && range.type === 'bytes' && range.length === 1) {
+      const { start, end } = range[0];
+      res.setHeader('Content-Range', `bytes ${start}-${end}/${file.content.length}`);
+      return res.status(206).send(file.content.subarray(start, end + 1));
+    }
+
+    res.send(file.content);
+  });
+
+  // ---------------------------------------------------------------------------
+  // OAuth
+  // ---------------------------------------------------------------------------
+
+  app.post('/oauth/v1/token', (req, res) => {
+    const { grant_type: grantType, code, refresh_token: refreshToken } = req.body;
+
+    if (!(grantType === 'authorization_code' && code) && !(grantType === 'refresh_token' && refreshToken)) {
+      return sendError(res, 400, 'BAD_AUTH_CODE', 'missing or unknown grant');
+    }
+
+    const accessToken = `mock-access-${crypto.randomBytes(12).toString('hex')}`;
+    issuedTokens.add(accessToken);
+
+    res.json({
+      token_type: 'bearer',
+      access_token: accessToken,
+      refresh_token: refreshToken || `mock-refresh-${crypto.randomBytes(12).toString('hex')}`,
+      expires_in: 1800
+    });
+  });
+
+  app.get('/oauth/v1/access-tokens/:token', (req, res) => {
+    if (!issuedTokens.has(req.params.token)) {
+      return sendError(res, 404, 'OBJECT_NOT_FOUND', 'token not found');
+    }
+
+    res.json({
+      token: req.params.token,
+      user: 'demo@example.com',
+      user_id: 1,
+      hub_id: Number(portalId),
+      app_id: 1,
+      scopes: ['oauth', 'crm.objects.contacts.read', 'files'],
+      token_type: 'access',
+      expires_in: 1800
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // API: authentication and injected rate limits
+  // ---------------------------------------------------------------------------
+
+  app.use((req, res, next) => {
+    if (!/^Bearer \S+/.test(req.headers.authorization || '')) {
+      return sendError(res, 401, 'INVALID_AUTHENTICATION', 'Authentication credentials not found.');
+    }
+
+    apiRequests++;
+    if (options.rateLimitEvery && apiRequests % options.rateLimitEvery === 0) {
+      res.setHeader('Retry-After', '1');
+      return sendError(res, 429, 'RATE_LIMITS', 'You have reached your secondly limit.');
+    }
+
+    next();
+  });
+
+  // ---------------------------------------------------------------------------
+  // Users
+  // ---------------------------------------------------------------------------
+
+  app.get('/settings/v3/users/:userId', (req, res) => {
+    const user = (fixtures.users || []).find(candidate => candidate.id === req.params.userId);
+    if (!user) {
+      return sendError(res, 404, 'OBJECT_NOT_FOUND', 'resource not found');
+    }
+
+    res.json({
+      id: user.id,
+      email: user.email,
+      roleIds: user.roleIds || [],
+      primaryTeamId: user.primaryTeamId,
+      secondaryTeamIds: user.secondaryTeamIds || [],
+      superAdmin: Boolean(user.superAdmin)
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // CRM
+  // ---------------------------------------------------------------------------
+
+  app.get('/crm/v4/objects/:objectType/:objectId/associations/:toObjectType', (req, res) => {
+    const { objectType, objectId, toObjectType } = req.params;
+    const ids = [...(associations.get(`${objectType}:${objectId}`)?.get(toObjectType) || [])];
+
+    const limit = Math.min(parseInt(req.query.limit || '500', 10) || 500, 500);
+    const offset = parseInt(req.query.after || '0', 10) || 0;
+    const page = ids.slice(offset, offset + limit);
+
+    res.json({
+      results: page.map(id => ({
+        toObjectId: Number(id),
+        associationTypes: [{ category: 'HUBSPOT_DEFINED', typeId: 0, label: null }]
+      })),
+      ...(offset + limit < ids.length ? { paging: { next: { after: String(offset + limit) } } } : {})
+    });
+  });
+
+  app.post('/crm/v3/objects/:objectType/batch/read', (req, res) => {
+    const { objectType } = req.params;
+    const { inputs = [], properties = [] } = req.body || {};
+    const startedAt = now();
+
+    const results = inputs
+      .map(input => records.get(`${objectType}:${input.id}`))
+      .filter(Boolean)
+      .map(record => ({ ...record, properties: pickProperties(record, properties), archived: false }));
+
+    res.json({ status: 'COMPLETE', results, startedAt, completedAt: now() });
+  });
+
+  app.get('/crm/v3/objects/:objectType/:objectId', (req, res) => {
+    const record = records.get(`${req.params.objectType}:${req.params.objectId}`);
+    if (!record) {
+      return sendError(res, 404, 'OBJECT_NOT_FOUND', 'resource not found');
+    }
+
+    const properties = req.query.properties ? String(req.query.properties).split(',') : null;
+    res.json({ ...record, properties: pickProperties(record, properties), archived: false });
+  });
+
+  app.patch('/crm/v3/objects/:objectType/:objectId', (req, res) => {
+    const record = records.get(`${req.params.objectType}:${req.params.objectId}`);
+    if (!record) {
+      return sendError(res, 404, 'OBJECT_NOT_FOUND', 'resource not found');
+    }
+
+    const properties = req.body?.properties;
+    if (!properties || typeof properties !== 'object' || Array.isArray(properties)) {
+      return sendError(res, 400, 'VALIDATION_ERROR', 'Invalid input JSON: properties is required');
+    }
+    if ('hs_object_id' in properties) {
+      return sendError(res, 400, 'VALIDATION_ERROR', 'Property values were not valid: hs_object_id is a read only property');
+    }
+
+    Object.assign(record.properties, Object.fromEntries(
+      Object.entries(properties).map(([name, value]) => [name, value === null ? '' : String(value)])
+    ));
+    record.updatedAt = now();
+
+    res.json({ ...record, archived: false });
+  });
+
+  app.post('/crm/v3/objects/notes', (req, res) => {
+    const { properties = {}, associations: noteAssociations = [] } = req.body || {};
+    const id = String(nextId++);
+
+    putRecord('notes', { id, properties });
+    for (const association of noteAssociations) {
+      const objectType = NOTE_ASSOCIATION_TYPES[association.types?.[0]?.associationTypeId];
+      if (!objectType) {
+        return sendError(res, 400, 'VALIDATION_ERROR', 'Unknown association type');
+      }
+      associate('notes', id, objectType, association.to.id);
+    }
+
+    res.status(201).json({ ...records.get(`notes:${id}`), archived: false });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Files
+  // ---------------------------------------------------------------------------
+
+  app.get('/files/v3/files/search', (req, res) => {
+    const ids = req.query.ids ? String(req.query.ids).split(',') : null;
+    const folderIds = req.query.parentFolderIds ? String(req.query.parentFolderIds).split(',') : null;
+    const limit = parseInt(req.query.limit || '100', 10) || 100;
+    const offset = parseInt(req.query.after || '0', 10) || 0;
+
+    const matches = [...files.values()]
+      .filter(file => !file.meta.archived && (!ids || ids.includes(file.meta.id)))
+      .filter(file => !folderIds || folderIds.includes(file.meta.parentFolderId));
+
+    res.json({
+      results: matches.slice(offset, offset + limit).map(file => toFileResponse(req, file)),
+      ...(offset + limit < matches.length ? { paging: { next: { after: String(offset + limit) } } } : {})
+    });
+  });
+
+  app.get('/files/v3/folders/search', (req, res) => {
+    const results = [...folders.values()]
+      .filter(folder => !req.query.path || folder.path === String(req.query.path));
+
+    res.json({ results });
+  });
+
+  app.get('/files/v3/files/:fileId', (req, res) => {
+    const file = files.get(req.params.fileId);
+    if (!file) {
+      return sendError(res, 404, 'OBJECT_NOT_FOUND', `File ${req.params.fileId} not found`);
+    }
+
+    res.json(toFileResponse(req, file));
+  });
+
+  app.get('/files/v3/files/:fileId/signed-url', (req, res) => {
+    const file = files.get(req.params.fileId);
+    if (!file) {
+      return sendError(res, 404, 'OBJECT_NOT_FOUND', `File ${req.params.fileId} not found`);
+    }
+
+    const token = crypto.randomBytes(16).toString('hex');
+    const expiresAt = Date.now() + SIGNED_URL_TTL_MS;
+    signedUrls.set(token, { fileId: file.meta.id, expiresAt });
+
+    res.json({
+      url: `${origin(req)}/_content/${file.meta.id}?token=${token}`,
+      expiresAt: new Date(expiresAt).toISOString(),
+      name: file.meta.name,
+      extension: file.meta.extension,
+      type: file.meta.type,
+      size: file.meta.size
+    });
+  });
+
+  app.post('/files/v3/files', upload.single('file'), (req, res) => {
+    if (!req.file) {
+      return sendError(res, 400, 'VALIDATION_ERROR', 'file is required');
+    }
+
+    const fileName = req.body.fileName || req.file.originalname;
+    const extension = path.extname(fileName).slice(1);
+    const fileOptions = req.body.options ? JSON.parse(req.body.options) : {};
+    const id = String(nextId++);
+
+    putFile({
+      id,
+      name: extension ? fileName.slice(0, -(extension.length + 1)) : fileName,
+      extension,
+      folderPath: req.body.folderPath || '/',
+      access: fileOptions.access,
+      contentType: req.file.mimetype
+    }, req.file.buffer);
+
+    res.status(201).json(toFileResponse(req, files.get(id)));
+  });
+
+  app.delete('/files/v3/files/:fileId', (req, res) => {
+    if (!files.delete(req.params.fileId)) {
+      return sendError(res, 404, 'OBJECT_NOT_FOUND', `File ${req.params.fileId} not found`);
+    }
+
+    res.status(204).end();
+  });
+
+  app.post('/filemanager/api/v3/files/:fileId/replace', upload.single('file'), (req, res) => {
+    const file = files.get(req.params.fileId);
+    if (!file) {
+      return sendError(res, 404, 'OBJECT_NOT_FOUND', `File ${req.params.fileId} not found`);
+    }
+    if (!req.file) {
+      return sendError(res, 400, 'VALIDATION_ERROR', 'file is required');
+    }
+
+    // HubSpot takes the name and type of the replacement
+    const extension = path.extname(req.file.originalname).slice(1);
+    file.meta.name = extension ? req.file.originalname.slice(0, -(extension.length + 1)) : req.file.originalname;
+    file.meta.extension = extension.toLowerCase();
+    file.content = req.file.buffer;
+    file.contentType = req.file.mimetype;
+    file.meta.size = req.file.buffer.length;
+    file.meta.updatedAt = now();
+
+    res.json(toFileResponse(req, file));
+  });
+
+  app.use((req, res) => {
+    sendError(res, 404, 'OBJECT_NOT_FOUND', `The mock does not implement ${req.method} ${req.path}`);
+  });
+
+  return app;
+}
+
+if (require.main === module) {
+  const port = process.env.MOCK_HUBSPOT_PORT || 3100;
+  const app = createMockHubSpot({
+    fixturesPath: process.env.MOCK_HUBSPOT_FIXTURES,
+    rateLimitEvery: parseInt(process.env.MOCK_HUBSPOT_RATE_LIMIT_EVERY || '0', 10),
+    latencyMs: parseInt(process.env.MOCK_HUBSPOT_LATENCY_MS || '0', 10)
+  });
+
+  app.listen(port, () => {
+    console.log(`Mock HubSpot API listening on port ${port}`);
+    console.log(`Run the backend with HUBSPOT_API_BASE_URL=http://localhost:${port} HUBSPOT_PRIVATE_APP_TOKEN=mock-token`);
+  });
+}
+
+module.exports = { createMockHubSpot };
@@ -1,49 +1,54 @@
 const express = require('express');
-const axios = require('axios');
 const cors = require('cors');
 const multer = require('multer');
 const FormData = require('form-data');
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
 require('dotenv').config();
+const { createStore } = require('./lib/store');
+const { createOAuthTokenManager } = require('./lib/hubspot-oauth');
+const { createHubSpotClient } = require('./lib/hubspot-client');
+const FileCache = require('./lib/file-cache');
+const { FORMATS, getFormat, detectFormat, sniffFormat, contentDisposition } = require('./lib/formats');
+const { createScanner } = require('./lib/scan');
+const { createTemplates, escapeHtml } = require('./lib/templates');
+const { createOriginPolicy } = require('./lib/origin-policy');
+const { createViewerConfig, brandStyleSheet } = require('./lib/viewer-config');
+const { createFormMapping } = require('./lib/form-mapping');
+const { TemplateError, inspectTemplate, isMergeable, mergeTemplate } = require('./lib/document-merge');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const NODE_ENV = process.env.NODE_ENV || 'development';
 
+// Browser origins allowed to call the backend: HubSpot, the backend itself
+// (viewer and upload pages), ALLOWED_ORIGINS, and localhost/ngrok outside production
+const originPolicy = createOriginPolicy({
+  origins: [process.env.BACKEND_URL, ...String(process.env.ALLOWED_ORIGINS || '').split(',')]
+    .map(origin => (origin || '').trim())
+    .filter(Boolean),
+  hubspotPatterns: process.env.HUBSPOT_DOMAIN_PATTERNS
+    ? process.env.HUBSPOT_DOMAIN_PATTERNS.split(',').map(pattern => pattern.trim()).filter(Boolean)
+    : undefined,
+  development: process.env.ORIGIN_PROFILE
+    ? process.env.ORIGIN_PROFILE === 'development'
+    : NODE_ENV !== 'production'
+});
+
 const corsOptions = {
   origin: function (origin, callback) {
     // Allow same-origin requests (no origin header)
-    if (!origin) {
-      return callback(null, true);
-    }
-
-    // Allow HubSpot domains
-    if (
-      origin.includes('hubspot.com') ||
-      origin.includes('hubspotusercontent') ||
-      origin.includes('hs-sites.com') ||
-      origin.includes('hubspotpreview')
-    ) {
-      return callback(null, true);
-    }
-
-    // Allow our own backend domain (for viewer uploads)
-    // This is needed when viewer (served from backend) makes upload requests
-    if (
-      origin.includes('azurewebsites.net') ||
-      origin.includes('nutrient-hubspot-backend')
-    ) {
-      return callback(null, true);
-    }
-
-    // Allow localhost for development
-    if (origin.includes('localhost') || origin.includes('127.0.0.1')) {
+    if (!origin || originPolicy.isAllowedOrigin(origin)) {
       return callback(null, true);
     }
 
     // Log rejected origins for debugging
     console.warn(`CORS rejected origin: ${origin}`);
-    callback(new Error('Not allowed by CORS'));
+    const error = new Error('Not allowed by CORS');
+    error.status = 403;
+    callback(error);
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
@@ -54,136 +59,625 @@ const corsOptions = {
 
 app.use(cors(corsOptions));
 
-// Note: CORS middleware above already handles OPTIONS preflight requests for all routes
+// Note: CORS middleware above already handles OPTIONS preflight requests for all routes,
+// including the upload routes, with the same origin policy
 
-app.use(express.json());
+// Keep the raw body around: HubSpot request signatures are computed over it
+app.use(express.json({
+  // Instant JSON annotation payloads can be much larger than the 100kb default
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
 app.use(express.raw({ type: 'application/json', limit: '50mb' }));
 
+// Pages are embedded in HubSpot iframes, and only there
+const FRAME_ANCESTORS = "frame-ancestors 'self' https://*.hubspot.com https://*.hubspotusercontent.com https://*.hs-sites.com";
+
 app.use((req, res, next) => {
   res.setHeader('X-Content-Type-Options', 'nosniff');
-  res.setHeader('Content-Security-Policy', "frame-ancestors 'self' https://*.hubspot.com https://*.hubspotusercontent.com https://*.hs-sites.com");
+  res.setHeader('Content-Security-Policy', FRAME_ANCESTORS);
   res.setHeader('X-XSS-Protection', '1; mode=block');
   res.setHeader('Strict-Transport-Security', 'max-age=31536000; includeSubDomains');
+  next();
+});
+
+// Uploads are kept in memory until they are validated, scanned and sent to HubSpot
+const UPLOAD_MAX_BYTES = parseInt(process.env.UPLOAD_MAX_MB || '100', 10) * 1024 * 1024;
 
-  // Additional CORS headers for upload endpoint (critical for file uploads)
-  if (req.path.includes('/upload')) {
-    res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
-    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: UPLOAD_MAX_BYTES,
+    files: 1,
+    fields: 20,
+    fieldSize: 1024 * 1024
   }
+});
 
-  next();
+// =============================================================================
+// HTML PAGES
+// =============================================================================
+// Pages are rendered from views/ with escaping (see lib/templates); edited
+// templates are picked up without a restart outside production
+const templates = createTemplates({
+  dir: `${__dirname}/views`,
+  cache: NODE_ENV === 'production'
 });
 
-const upload = multer({ storage: multer.memoryStorage() });
+// Nutrient viewer assets, pinned to the installed @nutrient-sdk/viewer version.
+// self: served by this backend, so the viewer works without internet access
+// cdn:  loaded from Nutrient's CDN, saving the backend the asset traffic
+const NUTRIENT_VIEWER_VERSION = require('@nutrient-sdk/viewer/package.json').version;
+const VIEWER_ASSETS = process.env.VIEWER_ASSETS === 'cdn' ? 'cdn' : 'self';
+
+const NUTRIENT_VIEWER_BASE_URL = VIEWER_ASSETS === 'cdn'
+  ? `https://cdn.cloud.pspdfkit.com/pspdfkit-web@${NUTRIENT_VIEWER_VERSION}/`
+  : `/nutrient/${NUTRIENT_VIEWER_VERSION}/`;
+
+// Extra CSP source for the CDN, self-hosted assets are covered by 'self'
+const NUTRIENT_ASSETS_SOURCE = VIEWER_ASSETS === 'cdn' ? ` ${new URL(NUTRIENT_VIEWER_BASE_URL).origin}` : '';
+
+if (VIEWER_ASSETS === 'self') {
+  // The version is part of the path, so assets can be cached for good
+  app.use(`/nutrient/${NUTRIENT_VIEWER_VERSION}`, express.static(
+    path.join(path.dirname(require.resolve('@nutrient-sdk/viewer/package.json')), 'dist'),
+    { immutable: true, maxAge: '1y', index: false }
+  ));
+}
+
+// Toolbar, theme, locale and features of the viewer, per portal and file type
+// (see lib/viewer-config and viewer-config.example.json)
+let viewerConfig;
+try {
+  viewerConfig = createViewerConfig({ path: process.env.VIEWER_CONFIG_PATH });
+} catch (error) {
+  console.error(`ERROR: ${error.message}`);
+  process.exit(1);
+}
+
+// Brand colors inside the viewer, loaded by Nutrient as an extra stylesheet
+app.get('/viewer/theme.css', (req, res) => {
+  res.setHeader('Cache-Control', 'public, max-age=3600');
+  res.type('css').send(brandStyleSheet({ primary: String(req.query.primary || '') }));
+});
+
+/**
+ * Content Security Policy for rendered pages. Only scripts carrying the
+ * per-response nonce run, and they may load further scripts ('strict-dynamic',
+ * needed by the Nutrient viewer); inline event handler attributes are blocked.
+ * @param {string} nonce - Nonce of this response
+ * @returns {string} Header value
+ */
+function pageSecurityPolicy(nonce) {
+  return [
+    "default-src 'self'",
+    `script-src 'nonce-${nonce}' 'strict-dynamic' 'wasm-unsafe-eval' 'self'${NUTRIENT_ASSETS_SOURCE}`,
+    `style-src 'self' 'unsafe-inline'${NUTRIENT_ASSETS_SOURCE}`,
+    `connect-src 'self' blob: data:${NUTRIENT_ASSETS_SOURCE}`,
+    `worker-src 'self' blob:${NUTRIENT_ASSETS_SOURCE}`,
+    `font-src 'self' data:${NUTRIENT_ASSETS_SOURCE}`,
+    "img-src 'self' data: blob:",
+    "object-src 'none'",
+    "base-uri 'none'",
+    "form-action 'self'",
+    FRAME_ANCESTORS
+  ].join('; ');
+}
+
+/**
+ * Render a view and send it with a nonce-based Content Security Policy. The
+ * nonce is passed to the view as "nonce" for its script elements.
+ * @param {object} res - Express response
+ * @param {string} view - Template name in views/
+ * @param {object} [data] - Template values
+ * @param {number} [status] - HTTP status (default 200)
+ */
+function sendPage(res, view, data = {}, status = 200) {
+  const nonce = crypto.randomBytes(16).toString('base64');
+  const html = templates.render(view, { ...data, nonce });
+
+  res.setHeader('Content-Security-Policy', pageSecurityPolicy(nonce));
+  res.setHeader('Cache-Control', 'no-store');
+  res.status(status).type('html').send(html);
+}
 
-app.use('/nutrient', express.static('node_modules/@nutrient-sdk/viewer/dist'));
+/**
+ * Send the generic message page, used for errors
+ * @param {object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {object} page - title, message, and optional error, details and hint
+ */
+function sendMessagePage(res, status, page) {
+  sendPage(res, 'message', page, status);
+}
 
 // =============================================================================
 // SECURITY CONFIGURATION
 // =============================================================================
 const HUBSPOT_TOKEN = process.env.HUBSPOT_PRIVATE_APP_TOKEN;
+const HUBSPOT_CLIENT_ID = process.env.HUBSPOT_CLIENT_ID;
+const HUBSPOT_CLIENT_SECRET = process.env.HUBSPOT_CLIENT_SECRET;
+const BACKEND_URL = process.env.BACKEND_URL;
+
+// Validate required environment variables: either a private app token (single portal)
+// or OAuth app credentials (any number of portals) are needed
+if (!HUBSPOT_TOKEN && !(HUBSPOT_CLIENT_ID && HUBSPOT_CLIENT_SECRET)) {
+  console.error('ERROR: HUBSPOT_PRIVATE_APP_TOKEN or HUBSPOT_CLIENT_ID + HUBSPOT_CLIENT_SECRET are required');
+  process.exit(1);
+}
+// Viewer tokens live in a pluggable store so they survive restarts and can be
+// shared by every instance behind the load balancer (see lib/store)
+const STORE_DRIVER = process.env.STORE_DRIVER || 'memory';
+const store = createStore({
+  driver: STORE_DRIVER,
+  filePath: process.env.STORE_FILE_PATH,
+  redisUrl: process.env.STORE_REDIS_URL,
+  keyPrefix: process.env.STORE_KEY_PREFIX
+});
 
-// Validate required environment variables
-if (!HUBSPOT_TOKEN) {
-  console.error('ERROR: HUBSPOT_PRIVATE_APP_TOKEN is required');
+// OAuth refresh tokens are kept in the store: in memory, every restart would log
+// every portal out until the app is reinstalled
+if (HUBSPOT_CLIENT_ID && HUBSPOT_CLIENT_SECRET && STORE_DRIVER.toLowerCase() === 'memory') {
+  console.error('ERROR: OAuth installs need a durable store, set STORE_DRIVER=file or redis ' +
+    '(or leave HUBSPOT_CLIENT_ID unset to only use HUBSPOT_PRIVATE_APP_TOKEN)');
   process.exit(1);
 }
-const viewerTokens = new Map();
+
+// Every HubSpot API call goes through this client (auth, retries, timeouts).
+// Point HUBSPOT_API_BASE_URL at mock-hubspot/ to run without a HubSpot portal.
+const hubspot = createHubSpotClient({
+  baseUrl: process.env.HUBSPOT_API_BASE_URL,
+  getAccessToken: portalId => oauthTokens.getAccessToken(portalId),
+  timeoutMs: parseInt(process.env.HUBSPOT_TIMEOUT_MS || '30000', 10),
+  maxRetries: parseInt(process.env.HUBSPOT_MAX_RETRIES || '3', 10)
+});
+
+// Access tokens per HubSpot portal: OAuth installs, falling back to the private app
+// token for its own portal (HUBSPOT_PORTAL_ID)
+const oauthTokens = createOAuthTokenManager({
+  store,
+  client: hubspot,
+  clientId: HUBSPOT_CLIENT_ID,
+  clientSecret: HUBSPOT_CLIENT_SECRET,
+  redirectUri: process.env.HUBSPOT_REDIRECT_URI || `${BACKEND_URL}/oauth-callback`,
+  privateAppToken: HUBSPOT_TOKEN,
+  privateAppPortalId: process.env.HUBSPOT_PORTAL_ID
+});
+
+if (HUBSPOT_TOKEN && oauthTokens.oauthEnabled && !process.env.HUBSPOT_PORTAL_ID) {
+  console.warn('WARNING: HUBSPOT_PRIVATE_APP_TOKEN is ignored with OAuth enabled unless HUBSPOT_PORTAL_ID ' +
+    'names the portal it belongs to');
+}
+
+const VIEWER_TOKEN_TTL_MS = 15 * 60 * 1000; // 15 minutes
+
+/**
+ * Viewer token scopes, from least to most privileged:
+ *   view     - read-only viewer, no saving
+ *   annotate - annotations and comments, saved back to HubSpot
+ *   edit     - full document editing (pages, content), saved back to HubSpot
+ */
+const VIEWER_SCOPES = ['view', 'annotate', 'edit'];
+
+// Scope of users who are neither super admins nor covered by the policy below:
+// read-only unless configured otherwise
+const VIEWER_DEFAULT_SCOPE = VIEWER_SCOPES.includes(process.env.VIEWER_DEFAULT_SCOPE)
+  ? process.env.VIEWER_DEFAULT_SCOPE
+  : 'view';
+
+/**
+ * Scope overrides by HubSpot user ID and team ID, e.g.
+ * {"users": {"1234567": "edit"}, "teams": {"98765": "view"}}
+ */
+let VIEWER_SCOPE_POLICY = { users: {}, teams: {} };
+if (process.env.VIEWER_SCOPE_POLICY) {
+  try {
+    VIEWER_SCOPE_POLICY = { users: {}, teams: {}, ...JSON.parse(process.env.VIEWER_SCOPE_POLICY) };
+  } catch (error) {
+    console.error('ERROR: VIEWER_SCOPE_POLICY is not valid JSON');
+    process.exit(1);
+  }
+}
+
+/**
+ * Check whether a granted scope includes a required scope
+ * @param {string} granted - Scope carried by the token/session
+ * @param {string} required - Minimum scope needed
+ * @returns {boolean} True if granted is at least as privileged as required
+ */
+function hasViewerScope(granted, required) {
+  const grantedLevel = VIEWER_SCOPES.indexOf(granted);
+  return grantedLevel !== -1 && grantedLevel >= VIEWER_SCOPES.indexOf(required);
+}
+
+const HUBSPOT_USER_CACHE_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Read a HubSpot user's teams and admin status from the Settings Users API
+ * (cached for a few minutes, scopes are resolved on every card request)
+ * @param {string} portalId - HubSpot portal
+ * @param {string|number} userId - HubSpot user ID
+ * @returns {Promise<{superAdmin: boolean, teamIds: string[]}|null>} null if the user could not be read
+ */
+async function getHubSpotUser(portalId, userId) {
+  const cacheKey = `hubspot-user:${portalId}:${userId}`;
+  const cached = await store.get(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  try {
+    const response = await hubspot.get(portalId, `/settings/v3/users/${encodeURIComponent(userId)}`);
+    const { superAdmin, primaryTeamId, secondaryTeamIds = [] } = response.data;
+
+    const user = {
+      superAdmin: superAdmin === true,
+      teamIds: [primaryTeamId, ...secondaryTeamIds].filter(Boolean).map(String)
+    };
+    await store.set(cacheKey, user, HUBSPOT_USER_CACHE_TTL_MS);
+
+    return user;
+  } catch (error) {
+    console.warn(`Could not read HubSpot user ${userId} of portal ${portalId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Resolve the viewer scope for the HubSpot user behind a card request.
+ * hubspot.fetch appends userId/portalId to signed requests; the user's teams and
+ * admin status are read from HubSpot (the card's context.user.teams if that fails).
+ * Super admins edit, everybody else gets VIEWER_DEFAULT_SCOPE; VIEWER_SCOPE_POLICY
+ * overrides both, per user first, then per team.
+ * @param {string} portalId - HubSpot portal the request comes from
+ * @param {object} user
+ * @param {string|number} [user.userId] - HubSpot user ID
+ * @param {string[]} [user.teamIds] - HubSpot team IDs from the card context
+ * @returns {Promise<string>} One of VIEWER_SCOPES
+ */
+async function resolveViewerScope(portalId, { userId, teamIds = [] } = {}) {
+  const userScope = userId && VIEWER_SCOPE_POLICY.users[String(userId)];
+  if (VIEWER_SCOPES.includes(userScope)) {
+    return userScope;
+  }
+
+  const hubspotUser = userId && portalId ? await getHubSpotUser(portalId, userId) : null;
+  const userTeamIds = hubspotUser ? hubspotUser.teamIds : teamIds;
+
+  // A user in several teams gets the most privileged team scope
+  const teamScopes = userTeamIds
+    .map(teamId => VIEWER_SCOPE_POLICY.teams[String(teamId)])
+    .filter(scope => VIEWER_SCOPES.includes(scope));
+
+  if (teamScopes.length > 0) {
+    return teamScopes.reduce((best, scope) => (hasViewerScope(scope, best) ? scope : best));
+  }
+
+  if (hubspotUser && hubspotUser.superAdmin) {
+    return 'edit';
+  }
+
+  return VIEWER_DEFAULT_SCOPE;
+}
+
+/**
+ * Read the user details sent along with a card request
+ * (userId/userEmail are appended by hubspot.fetch, teamIds by the card)
+ * @param {object} req - Express request
+ * @returns {{userId: string|undefined, userEmail: string|undefined, teamIds: string[]}}
+ */
+function getCardUser(req) {
+  return {
+    userId: req.query.userId,
+    userEmail: req.query.userEmail,
+    teamIds: String(req.query.teamIds || '').split(',').filter(Boolean)
+  };
+}
+
+/**
+ * HubSpot portal a card request comes from (appended by hubspot.fetch)
+ * @param {object} req - Express request
+ * @returns {string|undefined} Portal ID
+ */
+function getCardPortalId(req) {
+  return req.query.portalId;
+}
+
+/**
+ * Reduce card user details to what is stored with tokens and versions
+ * @param {object} cardUser - Result of getCardUser()
+ * @returns {{id: string, email: string|null}|null}
+ */
+function toTokenUser(cardUser) {
+  return cardUser.userId
+    ? { id: String(cardUser.userId), email: cardUser.userEmail || null }
+    : null;
+}
 
 /**
  * Generate a secure, time-limited viewer token for a specific file
  * @param {string} fileId - HubSpot file ID
  * @param {string} filename - Original filename
- * @returns {string} 64-character hex token
+ * @param {object} [options]
+ * @param {string} [options.scope] - One of VIEWER_SCOPES (defaults to "view")
+ * @param {object} [options.user] - HubSpot user the token is issued to ({id, email})
+ * @param {string} [options.baseUpdatedAt] - File's updatedAt when the token was issued,
+ *   used to detect conflicting saves
+ * @param {object} [options.record] - CRM record the file was opened from ({objectType, objectId})
+ * @param {string} [options.portalId] - HubSpot portal the file belongs to
+ * @param {string} [options.extension] - File extension, HubSpot file names do not include it
+ * @returns {Promise<string>} 64-character hex token
  */
-function generateViewerToken(fileId, filename) {
+async function generateViewerToken(fileId, filename, options = {}) {
   // Generate cryptographically random 32-byte token (64 hex chars)
   const token = crypto.randomBytes(32).toString('hex');
-  const expiresAt = Date.now() + (15 * 60 * 1000); // 15 minutes
+  const expiresAt = Date.now() + VIEWER_TOKEN_TTL_MS;
+  const scope = VIEWER_SCOPES.includes(options.scope) ? options.scope : 'view';
 
-  viewerTokens.set(token, {
+  // The store expires the entry itself, expiresAt is kept as a second check
+  await store.set(`viewer-token:${token}`, {
     fileId,
     filename,
+    scope,
+    user: options.user || null,
+    baseUpdatedAt: options.baseUpdatedAt || null,
+    record: options.record || null,
+    portalId: options.portalId ? String(options.portalId) : null,
+    extension: options.extension || null,
     expiresAt,
     used: false
-  });
-
-  // Auto-cleanup expired token after 15 minutes
-  setTimeout(() => {
-    viewerTokens.delete(token);
-  }, 15 * 60 * 1000);
+  }, VIEWER_TOKEN_TTL_MS);
 
   return token;
 }
 
 /**
- * Validate viewer token and return associated data
- * @param {string} token - Token to validate
- * @returns {object|null} Token data or null if invalid/expired
+ * Consume a viewer token. Tokens are single-use: the first call wins and every
+ * later call (even from another instance) gets null.
+ * @param {string} token - Token to consume
+ * @returns {Promise<object|null>} Token data or null if invalid/expired/used
  */
-function validateViewerToken(token) {
-  const tokenData = viewerTokens.get(token);
+async function consumeViewerToken(token) {
+  // take() is atomic, so two concurrent requests can never both get the data
+  const tokenData = await store.take(`viewer-token:${token}`);
 
-  if (!tokenData) {
-    return null; // Token doesn't exist or already used
+  if (!tokenData || tokenData.used || Date.now() > tokenData.expiresAt) {
+    return null;
   }
 
-  if (Date.now() > tokenData.expiresAt) {
-    viewerTokens.delete(token);
-    return null; // Token expired
-  }
+  // Keep a used marker until the token would have expired anyway
+  await store.set(
+    `viewer-token:${token}`,
+    { ...tokenData, used: true },
+    // A TTL of 0 means "never expires" in the store, and Redis rejects negative ones
+    Math.max(tokenData.expiresAt - Date.now(), 1)
+  );
 
   return tokenData;
 }
 
-// Secure HubSpot domain validation patterns
-const HUBSPOT_DOMAIN_PATTERNS = [
-  /^https?:\/\/([a-z0-9-]+\.)*hubspot\.com$/i,
-  /^https?:\/\/([a-z0-9-]+\.)*hubspotusercontent\.com$/i,
-  /^https?:\/\/([a-z0-9-]+\.)*hs-sites\.com$/i,
-  /^https?:\/\/([a-z0-9-]+\.)*hubspotpreview\.com$/i
-];
+const VIEWER_SESSION_IDLE_MS = 15 * 60 * 1000; // Expires 15 minutes after the last renewal
+const VIEWER_SESSION_MAX_AGE_MS = 12 * 60 * 60 * 1000; // Never lives longer than 12 hours
 
-function validateHubSpotRequest(req, res, next) {
-  // HubSpot origin validation (primary security)
+/**
+ * Create a renewable viewer session from a consumed viewer token.
+ * The session is bound to the token's file.
+ * @param {object} tokenData - Data returned by consumeViewerToken()
+ * @returns {Promise<object>} Session data including its id
+ */
+async function createViewerSession(tokenData) {
+  const id = crypto.randomBytes(32).toString('hex');
+  const now = Date.now();
+
+  const session = {
+    id,
+    fileId: tokenData.fileId,
+    filename: tokenData.filename,
+    scope: tokenData.scope,
+    user: tokenData.user || null,
+    baseUpdatedAt: tokenData.baseUpdatedAt || null,
+    record: tokenData.record || null,
+    portalId: tokenData.portalId || null,
+    extension: tokenData.extension || null,
+    createdAt: now,
+    expiresAt: now + VIEWER_SESSION_IDLE_MS
+  };
+
+  await store.set(`viewer-session:${id}`, session, VIEWER_SESSION_IDLE_MS);
+
+  return session;
+}
+
+/**
+ * Validate a viewer session
+ * @param {string} sessionId - Session to validate
+ * @returns {Promise<object|null>} Session data or null if invalid/expired
+ */
+async function validateViewerSession(sessionId) {
+  if (!sessionId) {
+    return null;
+  }
+
+  const session = await store.get(`viewer-session:${sessionId}`);
+
+  if (!session) {
+    return null;
+  }
+
+  if (Date.now() > session.expiresAt) {
+    await store.delete(`viewer-session:${sessionId}`);
+    return null;
+  }
+
+  return session;
+}
+
+/**
+ * Persist changes to a viewer session without extending it
+ * @param {object} session - Session returned by validateViewerSession()
+ * @param {object} changes - Fields to update
+ * @returns {Promise<object>} Updated session
+ */
+async function updateViewerSession(session, changes) {
+  const updated = { ...session, ...changes };
+
+  await store.set(`viewer-session:${session.id}`, updated, Math.max(updated.expiresAt - Date.now(), 1));
+
+  return updated;
+}
+
+/**
+ * Extend a viewer session by another idle period, capped at its maximum age
+ * @param {object} session - Session returned by validateViewerSession()
+ * @returns {Promise<object>} Updated session
+ */
+async function renewViewerSession(session) {
+  const expiresAt = Math.min(
+    Date.now() + VIEWER_SESSION_IDLE_MS,
+    session.createdAt + VIEWER_SESSION_MAX_AGE_MS
+  );
+
+  return updateViewerSession(session, { expiresAt });
+}
+
+/**
+ * Require a viewer session passed as "Authorization: Bearer <sessionId>".
+ * Adds the session to req.viewerSession.
+ */
+async function requireViewerSession(req, res, next) {
+  const match = /^Bearer\s+([a-f0-9]+)$/i.exec(req.headers.authorization || '');
+
+  if (!match) {
+    return res.status(401).json({
+      success: false,
+      error: 'Missing viewer session',
+      hint: 'Open the document from HubSpot to start a viewer session'
+    });
+  }
+
+  try {
+    const session = await validateViewerSession(match[1]);
+
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired viewer session',
+        hint: 'Return to HubSpot and open the document again.'
+      });
+    }
+
+    req.viewerSession = session;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Origin/Referer/User-Agent checks can be spoofed by any HTTP client, so they are
+// only honoured when explicitly enabled for local development
+const ALLOW_INSECURE_HUBSPOT_AUTH = process.env.ALLOW_INSECURE_HUBSPOT_AUTH === 'true';
+
+// HubSpot rejects v3 signatures older than 5 minutes, we do the same
+const SIGNATURE_MAX_AGE_MS = 5 * 60 * 1000;
+
+if (!HUBSPOT_CLIENT_SECRET && !ALLOW_INSECURE_HUBSPOT_AUTH) {
+  console.warn('WARNING: HUBSPOT_CLIENT_SECRET is not set, all HubSpot card requests will be rejected');
+}
+
+/**
+ * Rebuild the URI HubSpot signed. HubSpot decodes a fixed set of characters
+ * before signing, so they must be decoded here as well.
+ * @param {object} req - Express request
+ * @returns {string} Full request URI
+ */
+function getSignedRequestUri(req) {
+  const base = BACKEND_URL
+    ? BACKEND_URL.replace(/\/+$/, '')
+    : `${req.protocol}://${req.get('host')}`;
+
+  return `${base}${req.originalUrl}`.replace(
+    /%(3A|2F|3F|40|21|24|27|28|29|2A|2C|3B)/gi,
+    (match) => decodeURIComponent(match)
+  );
+}
+
+/**
+ * Verify the X-HubSpot-Signature-v3 header sent with hubspot.fetch requests
+ * @param {object} req - Express request
+ * @returns {{valid: boolean, reason?: string}} Verification result
+ */
+function verifyHubSpotSignature(req) {
+  const signature = req.headers['x-hubspot-signature-v3'];
+  const timestamp = req.headers['x-hubspot-request-timestamp'];
+
+  if (!signature || !timestamp) {
+    return { valid: false, reason: 'Missing HubSpot signature headers' };
+  }
+
+  if (!HUBSPOT_CLIENT_SECRET) {
+    return { valid: false, reason: 'Signature validation is not configured' };
+  }
+
+  // Timestamps in the future are rejected too, or a signed request could be replayed forever
+  const age = Date.now() - Number(timestamp);
+  if (!Number.isFinite(age) || Math.abs(age) > SIGNATURE_MAX_AGE_MS) {
+    return { valid: false, reason: 'Request timestamp is outside the replay window' };
+  }
+
+  const source = `${req.method}${getSignedRequestUri(req)}${req.rawBody || ''}${timestamp}`;
+  const expected = crypto
+    .createHmac('sha256', HUBSPOT_CLIENT_SECRET)
+    .update(source, 'utf8')
+    .digest();
+  const received = Buffer.from(String(signature), 'base64');
+
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    return { valid: false, reason: 'Invalid HubSpot signature' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Legacy Origin/Referer/User-Agent heuristics, only used when
+ * ALLOW_INSECURE_HUBSPOT_AUTH=true (local development)
+ * @param {object} req - Express request
+ * @returns {boolean} True if the request looks like it came from HubSpot
+ */
+function isLikelyHubSpotRequest(req) {
   const origin = req.headers.origin || '';
   const referer = req.headers.referer || '';
   const userAgent = req.headers['user-agent'] || '';
 
-  // Extract domain from referer if present (referer includes full URL)
-  let refererDomain = '';
-  if (referer) {
-    try {
-      const refererUrl = new URL(referer);
-      refererDomain = `${refererUrl.protocol}//${refererUrl.host}`;
-    } catch (e) {
-      // Invalid referer URL
-    }
-  }
+  // The Referer is a full URL, only its origin is compared
+  return (
+    originPolicy.isHubSpotOrigin(origin) ||
+    originPolicy.isHubSpotOrigin(referer) ||
+    (userAgent && /hubspot/i.test(userAgent)) ||
+    (!origin && !referer)
+  );
+}
 
-  // Check if origin or referer matches HubSpot domain patterns
-  const isFromHubSpot =
-    HUBSPOT_DOMAIN_PATTERNS.some(pattern => pattern.test(origin)) ||
-    HUBSPOT_DOMAIN_PATTERNS.some(pattern => pattern.test(refererDomain)) ||
-    (userAgent && /hubspot/i.test(userAgent));
+function validateHubSpotRequest(req, res, next) {
+  // HubSpot v3 request signature (primary security)
+  const verification = verifyHubSpotSignature(req);
 
-  if (isFromHubSpot) {
+  if (verification.valid) {
     return next();
   }
 
-  // Allow requests without origin/referer (e.g., server-to-server, direct access)
-  // These are typically handled by other auth mechanisms (viewer tokens, etc.)
-  if (!origin && !referer) {
+  if (ALLOW_INSECURE_HUBSPOT_AUTH && isLikelyHubSpotRequest(req)) {
+    console.warn(`Insecure HubSpot auth fallback used for ${req.method} ${req.path}`);
     return next();
   }
 
-  // Reject requests from unknown origins
-  console.warn(`Rejected request from origin: ${origin || referer}`);
+  console.warn(`Rejected request to ${req.path}: ${verification.reason}`);
   return res.status(401).json({
     error: 'Unauthorized',
-    message: 'Invalid authentication',
-    hint: 'Requests must originate from HubSpot or include valid authentication'
+    message: verification.reason,
+    hint: 'Requests must be sent with hubspot.fetch and carry a valid X-HubSpot-Signature-v3 header'
   });
 }
 
@@ -192,288 +686,2165 @@ app.get('/health', (req, res) => {
     status: 'ok',
     message: 'Backend service is running',
     environment: NODE_ENV,
+    hubspotApi: hubspot.baseUrl,
     security: {
-      hubspotAuth: !!HUBSPOT_TOKEN
+      hubspotAuth: !!HUBSPOT_TOKEN,
+      oauth: oauthTokens.oauthEnabled,
+      signatureValidation: !!HUBSPOT_CLIENT_SECRET,
+      originProfile: originPolicy.profile,
+      tokenStore: STORE_DRIVER,
+      insecureAuthFallback: ALLOW_INSECURE_HUBSPOT_AUTH
+    },
+    viewer: {
+      assets: VIEWER_ASSETS,
+      version: NUTRIENT_VIEWER_VERSION,
+      config: viewerConfig.source ? 'file' : 'built-in',
+      formMapping: formMapping.objectTypes
+    },
+    templates: {
+      folderPath: TEMPLATE_FOLDER_PATH,
+      outputFolderPath: TEMPLATE_OUTPUT_FOLDER_PATH
     },
     timestamp: new Date().toISOString()
   });
 });
 
-app.get('/logo.svg', (req, res) => {
-  const svg = `<svg width="800" height="800" viewBox="0 0 800 800" fill="none" xmlns="http://www.w3.org/2000/svg">
-<path d="M212.5 437.538C191.781 437.538 175 420.757 175 400.038C175 379.319 191.781 362.538 212.5 362.538C233.219 362.538 250 379.319 250 400.038C250 420.757 233.219 437.538 212.5 437.538ZM587.5 362.538C566.781 362.538 550 379.319 550 400.038C550 420.757 566.781 437.538 587.5 437.538C608.219 437.538 625 420.757 625 400.038C625 379.319 608.219 362.538 587.5 362.538ZM232.263 491.838C216.4 505.151 214.319 528.813 227.631 544.676C240.944 560.538 264.606 562.619 280.469 549.307C296.331 535.994 298.413 512.332 285.1 496.469C271.788 480.607 248.125 478.526 232.263 491.838ZM567.738 308.238C583.6 294.926 585.681 271.263 572.369 255.401C559.056 239.538 535.394 237.457 519.531 250.769C503.669 264.082 501.587 287.744 514.9 303.607C528.212 319.469 551.875 321.551 567.738 308.238ZM280.469 250.788C264.606 237.476 240.944 239.538 227.631 255.419C214.319 271.301 216.381 294.944 232.263 308.257C248.144 321.569 271.788 319.507 285.1 303.626C298.413 287.744 296.35 264.101 280.469 250.788ZM567.738 491.838C551.875 478.526 528.212 480.588 514.9 496.469C501.587 512.332 503.65 535.994 519.531 549.307C535.394 562.619 559.056 560.557 572.369 544.676C585.681 528.813 583.619 505.151 567.738 491.838ZM471.981 411.476C456.119 398.163 432.456 400.226 419.144 416.107C405.831 431.988 407.894 455.632 423.775 468.944C439.656 482.257 463.3 480.194 476.613 464.313C489.925 448.432 487.862 424.788 471.981 411.476ZM376.225 331.132C360.362 317.819 336.7 319.882 323.387 335.763C310.075 351.644 312.138 375.288 328.019 388.601C343.9 401.913 367.544 399.851 380.856 383.969C394.169 368.088 392.106 344.444 376.225 331.132Z" fill="#0B5FFF"/>
-</svg>`;
+app.get('/logo.svg', (req, res) => {
+  const svg = `<svg width="800" height="800" viewBox="0 0 800 800" fill="none" xmlns="http://www.w3.org/2000/svg">
+<path d="M212.5 437.538C191.781 437.538 175 420.757 175 400.038C175 379.319 191.781 362.538 212.5 362.538C233.219 362.538 250 379.319 250 400.038C250 420.757 233.219 437.538 212.5 437.538ZM587.5 362.538C566.781 362.538 550 379.319 550 400.038C550 420.757 566.781 437.538 587.5 437.538C608.219 437.538 625 420.757 625 400.038C625 379.319 608.219 362.538 587.5 362.538ZM232.263 491.838C216.4 505.151 214.319 528.813 227.631 544.676C240.944 560.538 264.606 562.619 280.469 549.307C296.331 535.994 298.413 512.332 285.1 496.469C271.788 480.607 248.125 478.526 232.263 491.838ZM567.738 308.238C583.6 294.926 585.681 271.263 572.369 255.401C559.056 239.538 535.394 237.457 519.531 250.769C503.669 264.082 501.587 287.744 514.9 303.607C528.212 319.469 551.875 321.551 567.738 308.238ZM280.469 250.788C264.606 237.476 240.944 239.538 227.631 255.419C214.319 271.301 216.381 294.944 232.263 308.257C248.144 321.569 271.788 319.507 285.1 303.626C298.413 287.744 296.35 264.101 280.469 250.788ZM567.738 491.838C551.875 478.526 528.212 480.588 514.9 496.469C501.587 512.332 503.65 535.994 519.531 549.307C535.394 562.619 559.056 560.557 572.369 544.676C585.681 528.813 583.619 505.151 567.738 491.838ZM471.981 411.476C456.119 398.163 432.456 400.226 419.144 416.107C405.831 431.988 407.894 455.632 423.775 468.944C439.656 482.257 463.3 480.194 476.613 464.313C489.925 448.432 487.862 424.788 471.981 411.476ZM376.225 331.132C360.362 317.819 336.7 319.882 323.387 335.763C310.075 351.644 312.138 375.288 328.019 388.601C343.9 401.913 367.544 399.851 380.856 383.969C394.169 368.088 392.106 344.444 376.225 331.132Z" fill="#0B5FFF"/>
+</svg>`;
+
+  res.setHeader('Content-Type', 'image/svg+xml');
+  res.setHeader('Cache-Control', 'public, max-age=31536000');
+  res.send(svg);
+});
+
+app.get('/oauth-callback', async (req, res) => {
+  const { code, error, error_description } = req.query;
+
+  if (error) {
+    return sendMessagePage(res, 400, {
+      title: 'OAuth Error',
+      message: 'There was an error during the OAuth authorization process.',
+      error: String(error),
+      details: error_description ? String(error_description) : null,
+      hint: 'Please try installing the app again or contact support if the issue persists.'
+    });
+  }
+
+  if (!code) {
+    return sendMessagePage(res, 400, {
+      title: 'Invalid Request',
+      message: 'No authorization code was provided. This endpoint is used for OAuth callbacks from HubSpot.'
+    });
+  }
+
+  try {
+    const installation = await oauthTokens.exchangeCode(code);
+    console.log(`OAuth install completed for portal ${installation.portalId}`);
+
+    sendPage(res, 'oauth-success', { portalId: installation.portalId });
+  } catch (error) {
+    console.error('OAuth token exchange failed:', error.details || error.message);
+    sendMessagePage(res, 500, {
+      title: 'Installation Error',
+      message: 'There was an error completing the installation. Please try again or contact support.',
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/generate-viewer-token', validateHubSpotRequest, async (req, res) => {
+  try {
+    const { fileId, filename, objectId } = req.body;
+
+    if (!fileId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing fileId'
+      });
+    }
+
+    // Optional: the record the file is opened from, copies get attached to it
+    const objectType = resolveObjectType(req.body.objectType);
+    const record = objectType && objectId ? { objectType, objectId: String(objectId) } : null;
+
+    const cardUser = getCardUser(req);
+    const scope = await resolveViewerScope(getCardPortalId(req), cardUser);
+    const portalId = getCardPortalId(req);
+    const fileData = await getHubSpotFile(portalId, fileId);
+    const token = await generateViewerToken(fileId, filename || 'document', {
+      scope,
+      user: toTokenUser(cardUser),
+      baseUpdatedAt: fileData.updatedAt,
+      record,
+      portalId,
+      extension: fileData.extension
+    });
+
+    res.json({
+      success: true,
+      token,
+      scope,
+      expiresIn: 900
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+
+/**
+ * CRM object types the Document Editor card can be installed on.
+ * Keys are the v3/v4 API object names, `typeId` is what HubSpot reports
+ * in the card context (`context.crm.objectTypeId`).
+ */
+const OBJECT_TYPES = {
+  // noteAssociationTypeId: HubSpot-defined "note to <object>" association type
+  contacts: { typeId: '0-1', label: 'Contact', noteAssociationTypeId: 202 },
+  companies: { typeId: '0-2', label: 'Company', noteAssociationTypeId: 190 },
+  deals: { typeId: '0-3', label: 'Deal', noteAssociationTypeId: 214 },
+  tickets: { typeId: '0-5', label: 'Ticket', noteAssociationTypeId: 228 }
+};
+
+/**
+ * Resolve an object type name or type ID to its API object name
+ * @param {string} objectType - e.g. "deals", "deal" or "0-3"
+ * @returns {string|null} API object name or null if unsupported
+ */
+function resolveObjectType(objectType) {
+  const value = String(objectType || '').toLowerCase();
+
+  for (const [name, info] of Object.entries(OBJECT_TYPES)) {
+    if (value === name || value === name.slice(0, -1) || value === info.typeId) {
+      return name;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Create a note on a CRM record, optionally carrying file attachments
+ * @param {string} portalId - HubSpot portal the record belongs to
+ * @param {{objectType: string, objectId: string}} record - Record to associate the note with
+ * @param {object} options
+ * @param {string} options.body - Note body (HTML)
+ * @param {string[]} [options.attachmentIds] - HubSpot file IDs to attach
+ * @returns {Promise<object>} Created note
+ */
+async function createNote(portalId, record, options) {
+  const objectType = OBJECT_TYPES[record.objectType];
+
+  if (!objectType) {
+    throw new Error(`Cannot create notes on object type ${record.objectType}`);
+  }
+
+  const properties = {
+    hs_timestamp: new Date().toISOString(),
+    hs_note_body: options.body
+  };
+
+  if (options.attachmentIds && options.attachmentIds.length > 0) {
+    properties.hs_attachment_ids = options.attachmentIds.join(';');
+  }
+
+  const noteResponse = await hubspot.post(portalId, '/crm/v3/objects/notes', {
+    properties,
+    associations: [{
+      to: { id: String(record.objectId) },
+      types: [{
+        associationCategory: 'HUBSPOT_DEFINED',
+        associationTypeId: objectType.noteAssociationTypeId
+      }]
+    }]
+  });
+
+  return noteResponse.data;
+}
+
+// Parallel HubSpot requests per listing; HubSpot allows ~100 requests per 10 seconds per app
+const HUBSPOT_FETCH_CONCURRENCY = 5;
+
+// HubSpot limits for the endpoints used to list attachments
+const ASSOCIATIONS_PAGE_SIZE = 500;
+const ENGAGEMENTS_BATCH_SIZE = 100;
+
+/**
+ * Engagement types whose `hs_attachment_ids` are listed as record files.
+ * `titleProperty` labels the source in the card (notes have no title).
+ */
+const ENGAGEMENT_TYPES = {
+  notes: { label: 'Note', titleProperty: null },
+  emails: { label: 'Email', titleProperty: 'hs_email_subject' },
+  meetings: { label: 'Meeting', titleProperty: 'hs_meeting_title' },
+  calls: { label: 'Call', titleProperty: 'hs_call_title' },
+  tasks: { label: 'Task', titleProperty: 'hs_task_subject' }
+};
+const FILES_SEARCH_BATCH_SIZE = 50;
+
+/**
+ * Run an async function over items with at most `concurrency` calls in flight
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of concurrent calls
+ * @param {function(*, number): Promise<*>} fn - Called with each item and its index
+ * @returns {Promise<Array>} Results in the order of `items`
+ */
+async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  await Promise.all(
+    Array.from({ length: Math.min(concurrency, items.length) }, worker)
+  );
+
+  return results;
+}
+
+/**
+ * Split an array into chunks
+ * @param {Array} items - Items to split
+ * @param {number} size - Maximum chunk size
+ * @returns {Array[]} Chunks
+ */
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Describe a failed HubSpot request for a listing warning
+ * @param {Error} error - HubSpotApiError, or any other error
+ * @returns {{status: number|null, message: string}}
+ */
+function describeHubSpotError(error) {
+  return {
+    status: error.status || null,
+    message: error.message
+  };
+}
+
+/**
+ * Read the IDs of every engagement of one type associated with a CRM record,
+ * following the `after` cursor
+ * @param {string} portalId - HubSpot portal the record belongs to
+ * @param {string} objectType - API object name from resolveObjectType()
+ * @param {string} objectId - CRM record ID
+ * @param {string} engagementType - Key of ENGAGEMENT_TYPES
+ * @returns {Promise<string[]>} Engagement IDs
+ */
+async function getAssociatedEngagementIds(portalId, objectType, objectId, engagementType) {
+  const engagementIds = [];
+  let after;
+
+  do {
+    const response = await hubspot.get(
+      portalId,
+      `/crm/v4/objects/${objectType}/${objectId}/associations/${engagementType}`,
+      { params: { limit: ASSOCIATIONS_PAGE_SIZE, after } }
+    );
+
+    for (const association of response.data.results || []) {
+      engagementIds.push(String(association.toObjectId));
+    }
+
+    after = response.data.paging?.next?.after;
+  } while (after);
+
+  return engagementIds;
+}
+
+/**
+ * Batch-read engagements with their attachment IDs, timestamp and title
+ * @param {string} portalId - HubSpot portal the engagements belong to
+ * @param {string} engagementType - Key of ENGAGEMENT_TYPES
+ * @param {string[]} engagementIds - Engagement IDs
+ * @param {object[]} warnings - Unreadable batches are reported here
+ * @returns {Promise<object[]>} Engagements ({id, properties})
+ */
+async function readEngagements(portalId, engagementType, engagementIds, warnings) {
+  const { titleProperty } = ENGAGEMENT_TYPES[engagementType];
+  const properties = ['hs_attachment_ids', 'hs_timestamp', ...(titleProperty ? [titleProperty] : [])];
+
+  const batches = await mapWithConcurrency(chunk(engagementIds, ENGAGEMENTS_BATCH_SIZE), HUBSPOT_FETCH_CONCURRENCY, async (ids) => {
+    try {
+      const response = await hubspot.post(
+        portalId,
+        `/crm/v3/objects/${engagementType}/batch/read`,
+        { properties, inputs: ids.map(id => ({ id })) },
+        { idempotent: true }
+      );
+
+      return response.data.results || [];
+    } catch (error) {
+      for (const id of ids) {
+        warnings.push({ fileId: null, source: { type: engagementType, id }, ...describeHubSpotError(error) });
+      }
+      return [];
+    }
+  });
+
+  return batches.flat();
+}
+
+/**
+ * Describe the engagement a file is attached through
+ * @param {string} engagementType - Key of ENGAGEMENT_TYPES
+ * @param {object} engagement - Engagement from readEngagements()
+ * @returns {{type: string, id: string, label: string, title: string|null, timestamp: string|null}}
+ */
+function toFileSource(engagementType, engagement) {
+  const { label, titleProperty } = ENGAGEMENT_TYPES[engagementType];
+
+  return {
+    type: engagementType,
+    id: String(engagement.id),
+    label,
+    title: (titleProperty && engagement.properties?.[titleProperty]) || null,
+    timestamp: engagement.properties?.hs_timestamp || null
+  };
+}
+
+/**
+ * Resolve file metadata for many file IDs: searched in batches, with a direct
+ * lookup for files the search did not return
+ * @param {string} portalId - HubSpot portal the files belong to
+ * @param {string[]} fileIds - HubSpot file IDs
+ * @returns {Promise<Map<string, object>>} Metadata (or {error}) per file ID
+ */
+async function readFiles(portalId, fileIds) {
+  const resolved = new Map();
+
+  await mapWithConcurrency(chunk(fileIds, FILES_SEARCH_BATCH_SIZE), HUBSPOT_FETCH_CONCURRENCY, async (ids) => {
+    try {
+      const response = await hubspot.get(portalId, '/files/v3/files/search', {
+        params: { ids: ids.join(','), limit: ids.length }
+      });
+
+      for (const file of response.data.results || []) {
+        resolved.set(String(file.id), file);
+      }
+    } catch (error) {
+      // Every file in the batch is looked up individually below
+      console.warn(`File search failed for ${ids.length} files:`, error.message);
+    }
+  });
+
+  const missing = fileIds.filter(id => !resolved.has(id));
+
+  await mapWithConcurrency(missing, HUBSPOT_FETCH_CONCURRENCY, async (fileId) => {
+    try {
+      resolved.set(fileId, await getHubSpotFile(portalId, fileId));
+    } catch (error) {
+      resolved.set(fileId, { error: describeHubSpotError(error) });
+    }
+  });
+
+  return resolved;
+}
+
+/**
+ * Collect every file attached to a CRM record through its notes, emails,
+ * meetings, calls and tasks
+ * @param {string} portalId - HubSpot portal the record belongs to
+ * @param {string} objectType - API object name from resolveObjectType()
+ * @param {string} objectId - CRM record ID
+ * @param {object} [options]
+ * @param {string} [options.scope] - Scope of the viewer tokens issued for the files
+ * @param {object} [options.user] - HubSpot user the viewer tokens are issued to
+ * @returns {Promise<{files: object[], warnings: object[]}>} File metadata with viewer
+ *   tokens, and the attachments that could not be resolved ({fileId, source, status, message})
+ */
+async function getObjectFiles(portalId, objectType, objectId, options = {}) {
+  const warnings = [];
+
+  // Engagement types are independent: one failing (e.g. a missing scope) does not hide the others
+  const sources = (await mapWithConcurrency(Object.keys(ENGAGEMENT_TYPES), HUBSPOT_FETCH_CONCURRENCY, async (engagementType) => {
+    try {
+      const ids = await getAssociatedEngagementIds(portalId, objectType, objectId, engagementType);
+      const engagements = ids.length > 0 ? await readEngagements(portalId, engagementType, ids, warnings) : [];
+
+      return engagements.map(engagement => ({
+        source: toFileSource(engagementType, engagement),
+        attachmentIds: engagement.properties?.hs_attachment_ids || ''
+      }));
+    } catch (error) {
+      warnings.push({ fileId: null, source: { type: engagementType, id: null }, ...describeHubSpotError(error) });
+      return [];
+    }
+  })).flat();
+
+  // A file attached to several engagements is listed once, under the most recent one
+  sources.sort((a, b) => (Date.parse(b.source.timestamp) || 0) - (Date.parse(a.source.timestamp) || 0));
+
+  const attachments = [];
+  const seen = new Set();
+
+  for (const { source, attachmentIds } of sources) {
+    for (const fileId of attachmentIds.split(';').map(id => id.trim()).filter(Boolean)) {
+      if (!seen.has(fileId)) {
+        seen.add(fileId);
+        attachments.push({ fileId, source });
+      }
+    }
+  }
+
+  if (attachments.length === 0) {
+    return { files: [], warnings };
+  }
+
+  const resolved = await readFiles(portalId, attachments.map(a => a.fileId));
+  const record = { objectType, objectId: String(objectId) };
+
+  const files = await mapWithConcurrency(attachments, HUBSPOT_FETCH_CONCURRENCY, async ({ fileId, source }) => {
+    const fileData = resolved.get(fileId);
+
+    if (!fileData || fileData.error) {
+      warnings.push({ fileId, source, ...(fileData?.error || { status: null, message: 'File not found' }) });
+      return null;
+    }
+
+    const viewerToken = await generateViewerToken(fileData.id, fileData.name, {
+      scope: options.scope,
+      user: options.user,
+      baseUpdatedAt: fileData.updatedAt,
+      record,
+      portalId,
+      extension: fileData.extension
+    });
+
+    return {
+      id: fileData.id,
+      name: fileData.name,
+      extension: fileData.extension || 'unknown',
+      category: getFormat(fileData.extension).category,
+      url: fileData.url,
+      size: fileData.size,
+      createdAt: fileData.createdAt || null,
+      updatedAt: fileData.updatedAt || null,
+      source, // Engagement that attaches the file to the record
+      viewerToken: viewerToken // [SECURE] Time-limited token for file access
+    };
+  });
+
+  return { files: files.filter(Boolean), warnings };
+}
+
+app.get('/api/objects/:objectType/:objectId/files', validateHubSpotRequest, async (req, res) => {
+  const { objectId } = req.params;
+  const objectType = resolveObjectType(req.params.objectType);
+
+  if (!objectType) {
+    return res.status(400).json({
+      success: false,
+      error: `Unsupported object type: ${req.params.objectType}`,
+      hint: `Supported object types: ${Object.keys(OBJECT_TYPES).join(', ')}`
+    });
+  }
+
+  try {
+    const cardUser = getCardUser(req);
+    const scope = await resolveViewerScope(getCardPortalId(req), cardUser);
+    const { files, warnings } = await getObjectFiles(getCardPortalId(req), objectType, objectId, {
+      scope,
+      user: toTokenUser(cardUser)
+    });
+
+    res.json({
+      success: true,
+      objectType,
+      objectId,
+      scope,
+      fileCount: files.length,
+      files,
+      warnings
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      details: error.details || null
+    });
+  }
+});
+
+// Kept for cards deployed before the generic objects endpoint existed
+app.get('/api/contact-files/:contactId', validateHubSpotRequest, async (req, res) => {
+  const { contactId } = req.params;
+
+  try {
+    const cardUser = getCardUser(req);
+    const scope = await resolveViewerScope(getCardPortalId(req), cardUser);
+    const { files, warnings } = await getObjectFiles(getCardPortalId(req), 'contacts', contactId, {
+      scope,
+      user: toTokenUser(cardUser)
+    });
+
+    res.json({
+      success: true,
+      contactId,
+      scope,
+      fileCount: files.length,
+      files,
+      warnings
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      details: error.details || null
+    });
+  }
+});
+
+
+// =============================================================================
+// HUBSPOT FILE HELPERS
+// =============================================================================
+
+/**
+ * Fetch file metadata from the HubSpot Files API
+ * @param {string} portalId - HubSpot portal the file belongs to
+ * @param {string} fileId - HubSpot file ID
+ * @returns {Promise<object>} File metadata
+ */
+async function getHubSpotFile(portalId, fileId) {
+  const fileResponse = await hubspot.get(portalId, `/files/v3/files/${encodeURIComponent(fileId)}`);
+
+  return fileResponse.data;
+}
+
+/**
+ * Get a short-lived signed URL for a file's content (works for private files)
+ * @param {string} portalId - HubSpot portal the file belongs to
+ * @param {string} fileId - HubSpot file ID
+ * @returns {Promise<string>} Signed URL
+ */
+async function getHubSpotSignedUrl(portalId, fileId) {
+  const signedUrlResponse = await hubspot.get(portalId, `/files/v3/files/${encodeURIComponent(fileId)}/signed-url`);
+
+  return signedUrlResponse.data.url;
+}
+
+/**
+ * Download a file's content through a signed URL (works for private files)
+ * @param {string} portalId - HubSpot portal the file belongs to
+ * @param {string} fileId - HubSpot file ID
+ * @returns {Promise<{fileData: object, buffer: Buffer}>} Metadata and content
+ */
+async function downloadHubSpotFile(portalId, fileId) {
+  const fileData = await getHubSpotFile(portalId, fileId);
+  const signedUrl = await getHubSpotSignedUrl(portalId, fileId);
+
+  const fileContentResponse = await hubspot.get(portalId, signedUrl, {
+    responseType: 'arraybuffer',
+    headers: {
+      'User-Agent': 'HubSpot-File-Service/1.0'
+    }
+  });
+
+  const buffer = Buffer.from(fileContentResponse.data);
+
+  const contentStart = buffer.toString('utf8', 0, 100);
+  if (contentStart.includes('<!DOCTYPE') || contentStart.includes('<html')) {
+    throw new Error('Received HTML instead of file content from HubSpot');
+  }
+
+  return { fileData, buffer };
+}
+
+/**
+ * Open a file's content as a stream, without buffering it in memory
+ * @param {string} portalId - HubSpot portal the file belongs to
+ * @param {string} fileId - HubSpot file ID
+ * @param {object} [options]
+ * @param {string} [options.range] - HTTP Range header to forward
+ * @returns {Promise<{status: number, headers: object, data: import('stream').Readable}>}
+ *   Upstream response: 206 with Content-Range when the range was honoured, 200 otherwise
+ */
+async function openHubSpotFileStream(portalId, fileId, options = {}) {
+  const signedUrl = await getHubSpotSignedUrl(portalId, fileId);
+
+  const response = await hubspot.get(portalId, signedUrl, {
+    responseType: 'stream',
+    headers: {
+      'User-Agent': 'HubSpot-File-Service/1.0',
+      ...(options.range ? { Range: options.range } : {})
+    },
+    validateStatus: status => status === 200 || status === 206
+  });
+
+  // An expired or invalid signed URL is answered with an HTML page
+  if (String(response.headers['content-type'] || '').includes('text/html')) {
+    response.data.destroy();
+    throw new Error('Received HTML instead of file content from HubSpot');
+  }
+
+  return response;
+}
+
+/**
+ * Find a folder of the HubSpot file manager by path
+ * @param {string} portalId - HubSpot portal
+ * @param {string} folderPath - e.g. "/nutrient-templates"
+ * @returns {Promise<object|null>} Folder metadata, or null if the folder does not exist
+ */
+async function findHubSpotFolder(portalId, folderPath) {
+  const response = await hubspot.get(portalId, '/files/v3/folders/search', {
+    params: { path: folderPath }
+  });
+
+  return (response.data.results || []).find(folder => folder.path === folderPath) || null;
+}
+
+/**
+ * List the files directly in a folder, following the `after` cursor
+ * @param {string} portalId - HubSpot portal
+ * @param {string} folderId - HubSpot folder ID
+ * @returns {Promise<object[]>} File metadata, archived files left out
+ */
+async function listHubSpotFolderFiles(portalId, folderId) {
+  const folderFiles = [];
+  let after;
+
+  do {
+    const response = await hubspot.get(portalId, '/files/v3/files/search', {
+      params: { parentFolderIds: folderId, limit: 100, after }
+    });
+
+    folderFiles.push(...(response.data.results || []).filter(file => !file.archived));
+
+    after = response.data.paging?.next?.after;
+  } while (after);
+
+  return folderFiles;
+}
+
+/**
+ * Upload a new file to the HubSpot file manager
+ * @param {string} portalId - Destination HubSpot portal
+ * @param {Buffer} buffer - File content
+ * @param {object} options
+ * @param {string} options.filename - File name including extension
+ * @param {string} [options.contentType] - MIME type
+ * @param {string} options.folderPath - Destination folder, created if missing
+ * @param {string} [options.access] - HubSpot access level
+ * @returns {Promise<object>} Created file metadata
+ */
+async function uploadHubSpotFile(portalId, buffer, options) {
+  const formData = new FormData();
+  formData.append('file', buffer, {
+    filename: options.filename,
+    contentType: options.contentType || 'application/octet-stream',
+  });
+
+  formData.append('fileName', options.filename);
+  formData.append('folderPath', options.folderPath);
+  formData.append('options', JSON.stringify({
+    access: options.access || 'HIDDEN_PRIVATE',
+    overwrite: false
+  }));
+
+  // Sent as a buffer so the request can be repeated after a rate limit
+  const hubspotResponse = await hubspot.post(portalId, '/files/v3/files', formData.getBuffer(), {
+    headers: formData.getHeaders()
+  });
+
+  return hubspotResponse.data;
+}
+
+/**
+ * Replace the content of an existing HubSpot file, keeping its ID and URL
+ * @param {string} portalId - HubSpot portal the file belongs to
+ * @param {string} fileId - HubSpot file ID
+ * @param {Buffer} buffer - New content
+ * @param {object} options
+ * @param {string} options.filename - File name including extension
+ * @param {string} [options.contentType] - MIME type
+ * @param {string} [options.access] - HubSpot access level (default: PUBLIC_NOT_INDEXABLE)
+ * @returns {Promise<object>} Updated file metadata
+ */
+async function replaceHubSpotFile(portalId, fileId, buffer, options) {
+  const formData = new FormData();
+  formData.append('file', buffer, {
+    filename: options.filename,
+    contentType: options.contentType || 'application/pdf',
+  });
+
+  const optionsJson = JSON.stringify({
+    access: options.access || 'PUBLIC_NOT_INDEXABLE'
+  });
+  formData.append('options', optionsJson);
+
+  const hubspotResponse = await hubspot.post(
+    portalId,
+    `/filemanager/api/v3/files/${encodeURIComponent(fileId)}/replace`,
+    formData.getBuffer(),
+    { headers: formData.getHeaders() }
+  );
+
+  return hubspotResponse.data;
+}
+
+/**
+ * Delete a file from the HubSpot file manager
+ * @param {string} portalId - HubSpot portal the file belongs to
+ * @param {string} fileId - HubSpot file ID
+ */
+async function deleteHubSpotFile(portalId, fileId) {
+  await hubspot.delete(portalId, `/files/v3/files/${encodeURIComponent(fileId)}`);
+}
+
+// "Save as copy" default destination
+const DEFAULT_COPY_FOLDER_PATH = '/nutrient-edited-files';
+
+/**
+ * Check a user supplied HubSpot folder path
+ * @param {string} folderPath - e.g. "/contracts/2025"
+ * @returns {boolean} True if the path is absolute and has no traversal segments
+ */
+function isValidFolderPath(folderPath) {
+  return (
+    typeof folderPath === 'string' &&
+    folderPath.length <= 500 &&
+    /^\/[^\\<>:"|?*]*$/.test(folderPath) &&
+    !folderPath.split('/').includes('..')
+  );
+}
+
+/**
+ * Strip path separators and control characters from a user supplied file name
+ * @param {string} filename - File name from the client
+ * @returns {string} Safe file name
+ */
+function sanitizeFilename(filename) {
+  const cleaned = String(filename || '')
+    .replace(/[\/\\]/g, '-')
+    .replace(/[\x00-\x1f<>:"|?*]/g, '')
+    .trim();
+
+  return cleaned || 'document.pdf';
+}
+
+// =============================================================================
+// CRM ACTIVITY LOGGING
+// =============================================================================
+
+// Saves are logged as notes on the record the document was opened from,
+// views only when explicitly enabled (they can be noisy)
+const LOG_SAVE_ACTIVITY = process.env.LOG_SAVE_ACTIVITY !== 'false';
+const LOG_VIEW_ACTIVITY = process.env.LOG_VIEW_ACTIVITY === 'true';
+
+/**
+ * Describe a HubSpot user for activity notes
+ * @param {object|null} user - {id, email}
+ * @returns {string} HTML-escaped description
+ */
+function describeUser(user) {
+  if (!user) {
+    return 'an unknown user';
+  }
+
+  return escapeHtml(user.email || `user ${user.id}`);
+}
+
+/**
+ * Build the body of an activity note
+ * @param {object} session - Viewer session the activity happened in
+ * @param {string} action - "viewed", "replaced", "restored", "copied", "uploaded", "generated", "annotated" or "form-values"
+ * @param {object} [details]
+ * @param {object} [details.file] - Resulting HubSpot file (replaced/restored/copied/uploaded/generated)
+ * @param {object[]} [details.changes] - Properties written from form fields (form-values)
+ * @param {number} [details.archivedVersion] - Version the previous content was kept as
+ * @param {number} [details.restoredVersion] - Version brought back (restored)
+ * @param {string} [details.folderPath] - Folder of a copy
+ * @returns {string} Note body (HTML)
+ */
+function formatActivityNote(session, action, details = {}) {
+  const name = `<strong>${escapeHtml(session.filename)}</strong>`;
+  const user = describeUser(session.user);
+  const link = details.file && details.file.url
+    ? ` <a href="${escapeHtml(details.file.url)}">Open the new version</a>`
+    : '';
+
+  switch (action) {
+    case 'viewed':
+      return `${name} was opened by ${user} in Nutrient Document Editor.`;
+    case 'replaced':
+      return `${name} was edited and saved by ${user} in Nutrient Document Editor. ` +
+        `The file was replaced, the previous content was kept as version ${details.archivedVersion}.${link}`;
+    case 'restored':
+      return `${name} was restored to version ${details.restoredVersion} by ${user} in Nutrient Document Editor. ` +
+        `The replaced content was kept as version ${details.archivedVersion}.${link}`;
+    case 'copied':
+      return `A copy of ${name} was saved by ${user} in Nutrient Document Editor as ` +
+        `<strong>${escapeHtml(details.file.name)}</strong> in ${escapeHtml(details.folderPath)}. ` +
+        'The original file was not modified.';
+    case 'uploaded':
+      return `<strong>${escapeHtml(details.file.name)}</strong> was uploaded by ${user} through Nutrient Document Editor.`;
+    case 'generated':
+      return `<strong>${escapeHtml(details.file.name)}</strong> was created from the template ${name} by ${user} ` +
+        'through Nutrient Document Editor.';
+    case 'annotated':
+      return `Annotations on ${name} were saved by ${user} in Nutrient Document Editor. ` +
+        'The document itself was not modified.';
+    case 'form-values':
+      return `Form values from ${name} were written to this record by ${user} in Nutrient Document Editor: ` +
+        details.changes.map(change => escapeHtml(change.label)).join(', ') + '.';
+    default:
+      throw new Error(`Unknown document activity: ${action}`);
+  }
+}
+
+/**
+ * Log a document activity as a note on the originating CRM record.
+ * Failures are logged and swallowed: they must never fail the save itself.
+ * @param {object} session - Viewer session the activity happened in
+ * @param {string} action - See formatActivityNote()
+ * @param {object} [details] - See formatActivityNote()
+ * @returns {Promise<object|null>} Created note, or null if nothing was logged
+ */
+async function logDocumentActivity(session, action, details) {
+  const enabled = action === 'viewed' ? LOG_VIEW_ACTIVITY : LOG_SAVE_ACTIVITY;
+
+  if (!enabled || !session.record) {
+    return null;
+  }
+
+  try {
+    return await createNote(session.portalId, session.record, {
+      body: formatActivityNote(session, action, details)
+    });
+  } catch (error) {
+    console.warn(`Could not log "${action}" activity for file ${session.fileId}:`, error.message);
+    return null;
+  }
+}
+
+// =============================================================================
+// FILE DATA DOCUMENTS
+// =============================================================================
+
+// What the backend keeps about a file (version history, annotations) is stored as
+// hidden JSON files in a HubSpot folder per file, so it lives in the portal it
+// belongs to and survives restarts; the store only remembers where each one is.
+
+function getDataDocumentCacheKey(portalId, folderPath, name) {
+  return `data-document:${portalId}:${folderPath}/${name}`;
+}
+
+/**
+ * Find a JSON document in a folder of the HubSpot file manager
+ * @param {string} portalId - HubSpot portal
+ * @param {string} folderPath - Folder the document is kept in
+ * @param {string} name - Document name without the .json extension
+ * @returns {Promise<string|null>} HubSpot file ID, or null if none was written yet
+ */
+async function findDataDocument(portalId, folderPath, name) {
+  const cacheKey = getDataDocumentCacheKey(portalId, folderPath, name);
+  const cachedId = await store.get(cacheKey);
+  if (cachedId) {
+    return cachedId;
+  }
+
+  const folder = await findHubSpotFolder(portalId, folderPath);
+  if (!folder) {
+    return null;
+  }
+
+  const document = (await listHubSpotFolderFiles(portalId, folder.id))
+    .find(file => file.name === name && file.extension === 'json');
+  if (!document) {
+    return null;
+  }
+
+  await store.set(cacheKey, String(document.id));
+  return String(document.id);
+}
+
+/**
+ * Read a JSON document
+ * @param {string} portalId - HubSpot portal
+ * @param {string} folderPath - Folder the document is kept in
+ * @param {string} name - Document name without the .json extension
+ * @returns {Promise<{data: *, documentId: string|null}>} data is null if there is no document
+ */
+async function readDataDocument(portalId, folderPath, name) {
+  const documentId = await findDataDocument(portalId, folderPath, name);
+
+  if (documentId) {
+    try {
+      const { buffer } = await downloadHubSpotFile(portalId, documentId);
+      return { data: JSON.parse(buffer.toString('utf8')), documentId };
+    } catch (error) {
+      if (error.status !== 404) {
+        throw error;
+      }
+      // The document was deleted in HubSpot, start over
+      await store.delete(getDataDocumentCacheKey(portalId, folderPath, name));
+    }
+  }
+
+  return { data: null, documentId: null };
+}
+
+/**
+ * Write a JSON document, replacing the existing one
+ * @param {string} portalId - HubSpot portal
+ * @param {string} folderPath - Folder the document is kept in
+ * @param {string} name - Document name without the .json extension
+ * @param {*} data - JSON serializable content
+ * @param {string|null} documentId - As returned by readDataDocument
+ * @returns {Promise<string>} HubSpot file ID of the document
+ */
+async function writeDataDocument(portalId, folderPath, name, data, documentId) {
+  const buffer = Buffer.from(JSON.stringify(data));
+  const options = {
+    filename: `${name}.json`,
+    contentType: 'application/json',
+    access: 'HIDDEN_PRIVATE'
+  };
+
+  if (documentId) {
+    await replaceHubSpotFile(portalId, documentId, buffer, options);
+    return documentId;
+  }
+
+  const document = await uploadHubSpotFile(portalId, buffer, { ...options, folderPath });
+  await store.set(getDataDocumentCacheKey(portalId, folderPath, name), String(document.id));
+
+  return String(document.id);
+}
+
+/**
+ * Delete a JSON document, if there is one
+ * @param {string} portalId - HubSpot portal
+ * @param {string} folderPath - Folder the document is kept in
+ * @param {string} name - Document name without the .json extension
+ */
+async function deleteDataDocument(portalId, folderPath, name) {
+  const documentId = await findDataDocument(portalId, folderPath, name);
+  if (!documentId) {
+    return;
+  }
+
+  try {
+    await deleteHubSpotFile(portalId, documentId);
+  } catch (error) {
+    if (error.status !== 404) {
+      throw error;
+    }
+  }
+  await store.delete(getDataDocumentCacheKey(portalId, folderPath, name));
+}
+
+// =============================================================================
+// FILE VERSION HISTORY
+// =============================================================================
+
+// Previous contents are archived as regular (hidden) HubSpot files in
+// <VERSIONS_FOLDER_PATH>/<fileId>, the history is a versions.json data document
+// in the same folder
+const VERSIONS_FOLDER_PATH = process.env.VERSIONS_FOLDER_PATH || '/nutrient-versions';
+const VERSIONS_MANIFEST_NAME = 'versions';
+
+function getVersionsFolderPath(fileId) {
+  return `${VERSIONS_FOLDER_PATH}/${fileId}`;
+}
+
+/**
+ * Read the version history of a file
+ * @param {string} portalId - HubSpot portal the file belongs to
+ * @param {string} fileId - HubSpot file ID
+ * @returns {Promise<{current: object|null, versions: object[], manifestId: string|null}>} History, newest version last
+ */
+async function getFileHistory(portalId, fileId) {
+  const { data, documentId } = await readDataDocument(portalId, getVersionsFolderPath(fileId), VERSIONS_MANIFEST_NAME);
+  const { current = null, versions = [] } = data || {};
+
+  return { current, versions, manifestId: documentId };
+}
+
+/**
+ * Write the version history of a file to its manifest
+ * @param {string} portalId - HubSpot portal the file belongs to
+ * @param {string} fileId - HubSpot file ID
+ * @param {object} history - As returned by getFileHistory
+ */
+async function saveFileHistory(portalId, fileId, history) {
+  history.manifestId = await writeDataDocument(
+    portalId,
+    getVersionsFolderPath(fileId),
+    VERSIONS_MANIFEST_NAME,
+    { current: history.current, versions: history.versions },
+    history.manifestId
+  );
+}
+
+/**
+ * Archive the current content of a file as a new version. Must be called
+ * before the file is overwritten.
+ * @param {string} portalId - HubSpot portal the file belongs to
+ * @param {string} fileId - HubSpot file ID
+ * @param {object|null} user - HubSpot user about to overwrite the file ({id, email})
+ * @returns {Promise<object>} The recorded version
+ */
+async function archiveFileVersion(portalId, fileId, user) {
+  const history = await getFileHistory(portalId, fileId);
+  const { fileData, buffer } = await downloadHubSpotFile(portalId, fileId);
+
+  const version = history.versions.length + 1;
+  const name = fileData.name || 'document';
+  const extension = fileData.extension ? `.${fileData.extension}` : '';
+  const baseName = extension && name.toLowerCase().endsWith(extension.toLowerCase())
+    ? name.slice(0, -extension.length)
+    : name;
+
+  const archivedFile = await uploadHubSpotFile(portalId, buffer, {
+    filename: `${baseName} (v${version})${extension}`,
+    folderPath: getVersionsFolderPath(fileId),
+    access: 'HIDDEN_PRIVATE'
+  });
+
+  const entry = {
+    version,
+    archivedFileId: String(archivedFile.id),
+    name: fileData.name,
+    extension: fileData.extension || null,
+    size: buffer.length,
+    // Who produced this content and when (unknown for the original upload)
+    editor: history.current?.editor || null,
+    savedAt: history.current?.savedAt || fileData.updatedAt || fileData.createdAt || null,
+    archivedAt: new Date().toISOString(),
+    archivedBy: user || null
+  };
+
+  history.versions.push(entry);
+  await saveFileHistory(portalId, fileId, history);
+
+  return entry;
+}
+
+/**
+ * Record who wrote the current content of a file
+ * @param {string} portalId - HubSpot portal the file belongs to
+ * @param {string} fileId - HubSpot file ID
+ * @param {object|null} user - HubSpot user who saved the file ({id, email})
+ */
+async function recordFileSave(portalId, fileId, user) {
+  const history = await getFileHistory(portalId, fileId);
+
+  history.current = {
+    editor: user || null,
+    savedAt: new Date().toISOString()
+  };
+
+  await saveFileHistory(portalId, fileId, history);
+}
+
+// =============================================================================
+// FILE CONTENT
+// =============================================================================
+
+// Optional local disk cache for file content, e.g. FILE_CACHE_DIR=./data/file-cache
+const fileCache = process.env.FILE_CACHE_DIR
+  ? new FileCache({
+    dir: process.env.FILE_CACHE_DIR,
+    maxBytes: parseInt(process.env.FILE_CACHE_MAX_MB || '1024', 10) * 1024 * 1024
+  })
+  : null;
+
+/**
+ * ETag of a HubSpot file version: changes whenever the file is replaced
+ * @param {object} fileData - HubSpot file metadata
+ * @returns {string} Quoted entity tag
+ */
+function fileVersionETag(fileData) {
+  const version = Date.parse(fileData.updatedAt) || fileData.updatedAt || 0;
+  return `"${fileData.id}-${version}"`;
+}
+
+/**
+ * Whether a content request may be answered with the file's current version:
+ * it must be the version the session was opened on (when known), and match
+ * If-Match and an ETag If-Range
+ * @param {object} req - Express request
+ * @param {object} session - Viewer session
+ * @param {string} etag - ETag of the current version
+ * @returns {boolean}
+ */
+function matchesFileVersion(req, session, etag) {
+  if (session.baseUpdatedAt && fileVersionETag({ id: session.fileId, updatedAt: session.baseUpdatedAt }) !== etag) {
+    return false;
+  }
+
+  const ifMatch = req.headers['if-match'];
+  if (ifMatch && ifMatch.trim() !== '*' && !ifMatch.split(',').map(tag => tag.trim()).includes(etag)) {
+    return false;
+  }
+
+  // If-Range may also be a date, which is left to the range handling below
+  const ifRange = req.headers['if-range'];
+  return !(req.headers.range && ifRange && /^(W\/)?"/.test(ifRange) && ifRange !== etag);
+}
+
+// Enough of the content to recognize every format in lib/formats
+const SNIFF_BYTES = 64;
+
+/**
+ * File name to send to the browser: HubSpot keeps the extension separately
+ * @param {object} fileData - HubSpot file metadata
+ * @returns {string} File name including extension
+ */
+function getDownloadFilename(fileData) {
+  const name = fileData.name || 'document';
+  const extension = fileData.extension ? `.${fileData.extension}` : '';
+
+  return name.toLowerCase().endsWith(extension.toLowerCase()) ? name : name + extension;
+}
+
+/**
+ * Read the first bytes of a file on disk
+ * @param {string} filePath - File to read
+ * @returns {Promise<Buffer>} Up to SNIFF_BYTES bytes
+ */
+async function readFileHead(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(SNIFF_BYTES), 0, SNIFF_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Wait for the first chunk of a stream and put it back, so the stream can
+ * still be piped from the start
+ * @param {import('stream').Readable} stream - Stream that has not been read yet
+ * @returns {Promise<Buffer>} Up to SNIFF_BYTES bytes (empty for an empty stream)
+ */
+function peekStream(stream) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      stream.off('data', onData);
+      stream.off('end', onEnd);
+      stream.off('error', onError);
+    };
+    const onData = (chunk) => {
+      cleanup();
+      stream.pause();
+      stream.unshift(chunk);
+      resolve(chunk.subarray(0, SNIFF_BYTES));
+    };
+    const onEnd = () => {
+      cleanup();
+      resolve(Buffer.alloc(0));
+    };
+    const onError = (error) => {
+      cleanup();
+      reject(error);
+    };
+
+    stream.on('data', onData);
+    stream.on('end', onEnd);
+    stream.on('error', onError);
+  });
+}
+
+// The viewer loads documents by URL and cannot set headers on its range requests.
+// Instead of the session, the URL carries a download token: bound to one file, and
+// only valid for a few minutes, long enough for the viewer to fetch the document.
+const DOWNLOAD_TOKEN_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Issue a download token for the session's file
+ * @param {object} session - Viewer session
+ * @returns {Promise<{token: string, expiresAt: number}>}
+ */
+async function createDownloadToken(session) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = Date.now() + DOWNLOAD_TOKEN_TTL_MS;
+
+  await store.set(`download-token:${token}`, {
+    sessionId: session.id,
+    fileId: session.fileId,
+    expiresAt
+  }, DOWNLOAD_TOKEN_TTL_MS);
+
+  return { token, expiresAt };
+}
+
+/**
+ * Let a GET request authenticate with "?token=<download token>" instead of the
+ * Authorization header. The token stands in for its session, which must still be valid.
+ */
+async function allowDownloadToken(req, res, next) {
+  if (req.headers.authorization || typeof req.query.token !== 'string') {
+    return next();
+  }
+
+  try {
+    const download = await store.get(`download-token:${req.query.token}`);
+
+    if (!download || Date.now() > download.expiresAt || download.fileId !== req.params.fileId) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired download link',
+        hint: 'Reload the viewer to get a new link'
+      });
+    }
+
+    req.headers.authorization = `Bearer ${download.sessionId}`;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+app.post('/api/file/:fileId/download-token', requireViewerSession, requireSessionFile, async (req, res) => {
+  try {
+    const { token, expiresAt } = await createDownloadToken(req.viewerSession);
+
+    res.json({
+      success: true,
+      token,
+      expiresAt: new Date(expiresAt).toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Sessions are bound to the file they were opened for
+app.get('/api/file/:fileId', allowDownloadToken, requireViewerSession, requireSessionFile, async (req, res) => {
+  const { fileId } = req.params;
+  const { portalId } = req.viewerSession;
+
+  try {
+    const fileData = await getHubSpotFile(portalId, fileId);
+    const etag = fileVersionETag(fileData);
+
+    // A session reads the version it was opened on: ranges of a newer version
+    // would be assembled into the old document. The viewer reloads instead.
+    if (!matchesFileVersion(req, req.viewerSession, etag)) {
+      return res.status(412).json({
+        success: false,
+        changed: true,
+        error: 'The file was modified in HubSpot after it was opened',
+        hint: 'Reload the document to open the latest version'
+      });
+    }
+
+    res.setHeader('Content-Disposition', contentDisposition(getDownloadFilename(fileData)));
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('ETag', etag);
+    // Content is session-bound: browsers may keep it but must revalidate (cheap with the ETag)
+    res.setHeader('Cache-Control', 'private, no-cache');
+
+    // Unchanged since the browser last fetched it: one metadata call instead of a download
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    if (fileCache) {
+      const cached = await fileCache.fill(fileId, fileData.updatedAt, async () => {
+        return (await openHubSpotFileStream(portalId, fileId)).data;
+      });
+
+      res.setHeader('Content-Type', detectFormat(await readFileHead(cached.path), fileData.extension).mime);
+
+      // sendFile handles Range/If-Range itself, ETag and caching headers are ours
+      return res.sendFile(cached.path, { etag: false, lastModified: false, cacheControl: false }, (error) => {
+        if (error && !res.headersSent) {
+          res.status(500).json({ success: false, error: error.message });
+        }
+      });
+    }
+
+    // A range is only valid for the version it was requested against
+    const ifRange = req.headers['if-range'];
+    const range = req.headers.range && (!ifRange || ifRange === etag) ? req.headers.range : undefined;
+
+    const upstream = await openHubSpotFileStream(portalId, fileId, { range });
+
+    // Only the start of the file can be sniffed, other ranges go by the extension
+    const startsAtZero = upstream.status === 200 || /^bytes 0-/.test(upstream.headers['content-range'] || '');
+    const format = startsAtZero
+      ? detectFormat(await peekStream(upstream.data), fileData.extension)
+      : getFormat(fileData.extension);
+
+    res.status(upstream.status);
+    res.setHeader('Content-Type', format.mime);
+    for (const header of ['content-length', 'content-range']) {
+      if (upstream.headers[header]) {
+        res.setHeader(header, upstream.headers[header]);
+      }
+    }
+
+    await pipeline(upstream.data, res);
+
+  } catch (error) {
+    // Headers are gone once streaming started, all we can do is abort the response
+    if (res.headersSent) {
+      console.error(`Streaming file ${fileId} failed:`, error.message);
+      return res.destroy(error);
+    }
+
+    res.status(error.status === 416 ? 416 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// The user chose to load the latest version (e.g. after a conflicting save): later
+// saves are checked against it. This is the only place the base version moves,
+// apart from the session's own saves.
+app.post('/api/file/:fileId/reload', requireViewerSession, requireSessionFile, async (req, res) => {
+  try {
+    const fileData = await getHubSpotFile(req.viewerSession.portalId, req.params.fileId);
+    await updateViewerSession(req.viewerSession, { baseUpdatedAt: fileData.updatedAt || null });
+
+    res.json({
+      success: true,
+      updatedAt: fileData.updatedAt || null
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// =============================================================================
+// ANNOTATIONS (INSTANT JSON)
+// =============================================================================
+
+// Annotations saved in "annotations only" mode are kept as Instant JSON in an
+// annotations.json data document in <ANNOTATIONS_FOLDER_PATH>/<fileId>, and
+// re-applied when the viewer opens, so the source file in HubSpot stays untouched
+const ANNOTATIONS_FOLDER_PATH = process.env.ANNOTATIONS_FOLDER_PATH || '/nutrient-annotations';
+const ANNOTATIONS_DOCUMENT_NAME = 'annotations';
+
+function getAnnotationsFolderPath(fileId) {
+  return `${ANNOTATIONS_FOLDER_PATH}/${fileId}`;
+}
+
+/**
+ * Read the annotations saved for a file
+ * @param {string} portalId - HubSpot portal the file belongs to
+ * @param {string} fileId - HubSpot file ID
+ * @returns {Promise<object|null>} {instantJSON, updatedAt, updatedBy}, or null if there are none
+ */
+async function getFileAnnotations(portalId, fileId) {
+  const { data } = await readDataDocument(portalId, getAnnotationsFolderPath(fileId), ANNOTATIONS_DOCUMENT_NAME);
+  return data;
+}
+
+/**
+ * Save the annotations of a file, replacing earlier ones
+ * @param {string} portalId - HubSpot portal the file belongs to
+ * @param {string} fileId - HubSpot file ID
+ * @param {object} annotations - {instantJSON, updatedAt, updatedBy}
+ */
+async function saveFileAnnotations(portalId, fileId, annotations) {
+  const folderPath = getAnnotationsFolderPath(fileId);
+  const documentId = await findDataDocument(portalId, folderPath, ANNOTATIONS_DOCUMENT_NAME);
+  await writeDataDocument(portalId, folderPath, ANNOTATIONS_DOCUMENT_NAME, annotations, documentId);
+}
+
+/**
+ * Drop the annotations of a file once its content was replaced
+ * @param {string} portalId - HubSpot portal the file belongs to
+ * @param {string} fileId - HubSpot file ID
+ */
+async function clearFileAnnotations(portalId, fileId) {
+  await deleteDataDocument(portalId, getAnnotationsFolderPath(fileId), ANNOTATIONS_DOCUMENT_NAME);
+}
+
+/**
+ * Reject requests whose viewer session is bound to another file
+ */
+function requireSessionFile(req, res, next) {
+  if (req.viewerSession.fileId !== req.params.fileId) {
+    return res.status(403).json({
+      success: false,
+      error: 'Viewer session does not grant access to this file'
+    });
+  }
+
+  next();
+}
+
+app.get('/api/file/:fileId/annotations', requireViewerSession, requireSessionFile, async (req, res) => {
+  try {
+    const annotations = await getFileAnnotations(req.viewerSession.portalId, req.params.fileId);
+
+    res.json({
+      success: true,
+      instantJSON: annotations ? annotations.instantJSON : null,
+      updatedAt: annotations ? annotations.updatedAt : null,
+      updatedBy: annotations ? annotations.updatedBy : null
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.put('/api/file/:fileId/annotations', requireViewerSession, requireSessionFile, async (req, res) => {
+  const session = req.viewerSession;
+  const { instantJSON } = req.body || {};
+
+  if (!hasViewerScope(session.scope, 'annotate')) {
+    return res.status(403).json({
+      success: false,
+      error: 'This document was opened read-only',
+      hint: 'Saving annotations requires the annotate or edit scope'
+    });
+  }
+
+  if (!instantJSON || typeof instantJSON !== 'object' || Array.isArray(instantJSON) || !instantJSON.format) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing or invalid instantJSON',
+      hint: 'Send the result of instance.exportInstantJSON() as {"instantJSON": ...}'
+    });
+  }
+
+  try {
+    const annotations = {
+      instantJSON,
+      updatedAt: new Date().toISOString(),
+      updatedBy: session.user || null
+    };
+
+    await saveFileAnnotations(session.portalId, req.params.fileId, annotations);
+    await logDocumentActivity(session, 'annotated');
+
+    res.json({
+      success: true,
+      message: 'Annotations saved. The original document was not modified.',
+      updatedAt: annotations.updatedAt
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// =============================================================================
+// FORM FIELDS AND CRM PROPERTIES
+// =============================================================================
+
+// PDF form fields mapped to properties of the record a document is opened from:
+// prefilled when the viewer opens, written back on save after a preview
+// (see lib/form-mapping and form-mapping.example.json)
+let formMapping;
+try {
+  formMapping = createFormMapping({
+    path: process.env.FORM_MAPPING_PATH,
+    objectTypes: Object.keys(OBJECT_TYPES)
+  });
+} catch (error) {
+  console.error(`ERROR: ${error.message}`);
+  process.exit(1);
+}
+
+/**
+ * Read the mapped properties of the record a viewer session was opened from
+ * @param {object} session - Viewer session
+ * @returns {Promise<object|null>} {objectType, objectId, properties}, or null
+ *   when the session has no record or its object type has no mapping
+ */
+async function getMappedRecord(session) {
+  const fields = session.record ? formMapping.fieldsFor(session.record.objectType) : [];
+  if (fields.length === 0) {
+    return null;
+  }
+
+  const { objectType, objectId } = session.record;
+  const response = await hubspot.get(
+    session.portalId,
+    `/crm/v3/objects/${objectType}/${encodeURIComponent(objectId)}`,
+    { params: { properties: [...new Set(fields.map(field => field.property))].join(',') } }
+  );
+
+  return { objectType, objectId, properties: response.data.properties || {} };
+}
+
+/**
+ * Validate form values sent by the viewer: field name -> string (or null)
+ * @param {*} values - Request body value
+ * @returns {boolean}
+ */
+function isValidFormValues(values) {
+  return Boolean(values) && typeof values === 'object' && !Array.isArray(values) &&
+    Object.values(values).every(value => value === null || typeof value === 'string');
+}
+
+/**
+ * Reject form write-back for sessions that cannot save
+ */
+function requireFormWriteBack(req, res, next) {
+  if (!hasViewerScope(req.viewerSession.scope, 'annotate')) {
+    return res.status(403).json({
+      success: false,
+      error: 'This document was opened read-only',
+      hint: 'Writing form values to the record requires the annotate or edit scope'
+    });
+  }
+
+  if (!isValidFormValues(req.body && req.body.values)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing or invalid form values',
+      hint: 'Send {"values": {"<field name>": "<value>"}} with string values'
+    });
+  }
+
+  next();
+}
+
+/**
+ * Send a failed form data request, keeping HubSpot's validation errors (e.g. a
+ * value that is not one of a property's options) as 400
+ */
+function sendFormDataError(res, error, action) {
+  console.error(`Form data ${action} failed:`, error.message);
+  res.status(error.status === 400 ? 400 : 500).json({
+    success: false,
+    error: error.message,
+    details: error.details || null,
+    hint: error.status === 400 ? 'HubSpot rejected a value, check the form field against the property type' : undefined
+  });
+}
+
+app.get('/api/file/:fileId/form-data', requireViewerSession, requireSessionFile, async (req, res) => {
+  try {
+    const record = await getMappedRecord(req.viewerSession);
+
+    if (!record) {
+      return res.json({ success: true, record: null, fields: [], values: {} });
+    }
+
+    res.json({
+      success: true,
+      record: { objectType: record.objectType, objectId: record.objectId },
+      fields: formMapping.fieldsFor(record.objectType),
+      values: formMapping.prefillValues(record.objectType, record.properties)
+    });
+  } catch (error) {
+    sendFormDataError(res, error, 'prefill');
+  }
+});
+
+// What writing the form values back would change, shown to the user before saving
+app.post('/api/file/:fileId/form-data/preview', requireViewerSession, requireSessionFile, requireFormWriteBack, async (req, res) => {
+  try {
+    const record = await getMappedRecord(req.viewerSession);
+
+    res.json({
+      success: true,
+      changes: record ? formMapping.diffValues(record.objectType, req.body.values, record.properties) : []
+    });
+  } catch (error) {
+    sendFormDataError(res, error, 'preview');
+  }
+});
+
+app.patch('/api/file/:fileId/form-data', requireViewerSession, requireSessionFile, requireFormWriteBack, async (req, res) => {
+  const session = req.viewerSession;
+
+  try {
+    const record = await getMappedRecord(session);
+
+    // Compared again with the current values, the record may have changed since the preview
+    const changes = record ? formMapping.diffValues(record.objectType, req.body.values, record.properties) : [];
+
+    if (changes.length > 0) {
+      await hubspot.patch(
+        session.portalId,
+        `/crm/v3/objects/${record.objectType}/${encodeURIComponent(record.objectId)}`,
+        { properties: Object.fromEntries(changes.map(change => [change.property, change.proposed])) }
+      );
+      await logDocumentActivity(session, 'form-values', { changes });
+    }
+
+    res.json({
+      success: true,
+      message: changes.length > 0
+        ? `${changes.length} ${changes.length === 1 ? 'property' : 'properties'} updated on the record`
+        : 'The record is already up to date',
+      changes
+    });
+  } catch (error) {
+    sendFormDataError(res, error, 'write-back');
+  }
+});
+
+app.get('/api/file/:fileId/versions', validateHubSpotRequest, async (req, res) => {
+  const { fileId } = req.params;
+
+  try {
+    const user = toTokenUser(getCardUser(req));
+    const portalId = getCardPortalId(req);
+    const history = await getFileHistory(portalId, fileId);
+
+    // Archived versions always open read-only, restoring is a separate action
+    const versions = await Promise.all(history.versions.map(async (entry) => ({
+      ...entry,
+      viewerToken: await generateViewerToken(entry.archivedFileId, entry.name, {
+        scope: 'view',
+        user,
+        portalId,
+        extension: entry.extension
+      })
+    })));
+
+    res.json({
+      success: true,
+      fileId,
+      current: history.current,
+      versions: versions.reverse()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/file/:fileId/versions/:version/restore', validateHubSpotRequest, async (req, res) => {
+  const { fileId } = req.params;
+  const cardUser = getCardUser(req);
+
+  if (!hasViewerScope(await resolveViewerScope(getCardPortalId(req), cardUser), 'annotate')) {
+    return res.status(403).json({
+      success: false,
+      error: 'Restoring a version requires the annotate or edit scope'
+    });
+  }
+
+  // The record the card is shown on, for the activity note
+  const { objectType, objectId } = req.body || {};
+  const record = resolveObjectType(objectType) && /^\d+$/.test(String(objectId || ''))
+    ? { objectType: resolveObjectType(objectType), objectId: String(objectId) }
+    : null;
+
+  try {
+    const portalId = getCardPortalId(req);
+    const history = await getFileHistory(portalId, fileId);
+    const target = history.versions.find(entry => entry.version === Number(req.params.version));
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        error: `Version ${req.params.version} not found for file ${fileId}`
+      });
+    }
+
+    const user = toTokenUser(cardUser);
+    const { buffer } = await downloadHubSpotFile(portalId, target.archivedFileId);
+
+    // Restoring is a save like any other: the current content is archived first
+    const archived = await archiveFileVersion(portalId, fileId, user);
+    // The archived copy is named "<name> (vN)", the live file keeps its own name and type
+    const extension = archived.extension || target.extension;
+    const fileInfo = await replaceHubSpotFile(portalId, fileId, buffer, {
+      filename: getDownloadFilename({ name: archived.name, extension }),
+      contentType: getFormat(extension).mime
+    });
+    await recordFileSave(portalId, fileId, user);
+
+    // Stored annotations were made on the replaced content
+    await clearFileAnnotations(portalId, fileId);
+
+    await logDocumentActivity({ fileId, filename: fileInfo.name, user, record, portalId }, 'restored', {
+      file: fileInfo,
+      restoredVersion: target.version,
+      archivedVersion: archived.version
+    });
+
+    res.json({
+      success: true,
+      message: `Version ${target.version} restored`,
+      restoredVersion: target.version,
+      archivedVersion: archived.version,
+      file: {
+        id: fileInfo.id,
+        name: fileInfo.name,
+        url: fileInfo.url,
+        size: fileInfo.size,
+        extension: fileInfo.extension
+      }
+    });
+  } catch (error) {
+    console.error(`Restoring version of file ${fileId} failed:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      details: error.details || null
+    });
+  }
+});
+
+app.post('/api/viewer-session/renew', requireViewerSession, async (req, res) => {
+  try {
+    const session = await renewViewerSession(req.viewerSession);
+
+    res.json({
+      success: true,
+      expiresIn: Math.round((session.expiresAt - Date.now()) / 1000)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.get('/viewer/:fileId', async (req, res) => {
+  const { fileId } = req.params;
+  const token = req.query.token;
+
+  // Require valid viewer token
+  if (!token) {
+    return sendMessagePage(res, 401, {
+      title: 'Unauthorized',
+      message: 'Missing authentication token. Please access this page from HubSpot.',
+      hint: 'Security: This viewer requires a time-limited access token.'
+    });
+  }
+
+  // Exchange the single-use URL token for a renewable viewer session
+  const tokenData = await consumeViewerToken(token);
+  if (!tokenData || tokenData.fileId !== fileId) {
+    return sendMessagePage(res, 401, {
+      title: 'Unauthorized',
+      message: 'Invalid, expired or already used token. Tokens are valid once, for 15 minutes.',
+      hint: 'Please return to HubSpot and click the document link again to generate a new token.'
+    });
+  }
+
+  const session = await createViewerSession(tokenData);
+
+  // Not awaited: logging the view must not delay the viewer
+  logDocumentActivity(session, 'viewed');
+
+  // The file name comes from the token, the ?filename= parameter is only for readable URLs
+  const filename = session.filename || 'document';
+
+  const settings = viewerConfig.resolve({
+    portalId: session.portalId,
+    extension: session.extension || path.extname(filename)
+  });
+
+  sendPage(res, 'viewer', {
+    filename,
+    defaultCopyFolder: DEFAULT_COPY_FOLDER_PATH,
+    viewerBaseUrl: NUTRIENT_VIEWER_BASE_URL,
+    config: {
+      fileId,
+      filename,
+      sessionId: session.id,
+      scope: session.scope,
+      viewerBaseUrl: NUTRIENT_VIEWER_BASE_URL,
+      settings
+    }
+  });
+});
+
+
+
+// =============================================================================
+// UPLOAD VALIDATION
+// =============================================================================
+
+// Formats accepted for uploads, as file extensions (default: every format in lib/formats)
+const UPLOAD_ALLOWED_FORMATS = process.env.UPLOAD_ALLOWED_FORMATS
+  ? process.env.UPLOAD_ALLOWED_FORMATS.split(',').map(ext => getFormat(ext.trim())).filter(format => format.extensions.length > 0)
+  : FORMATS;
+
+// Malware scanning before anything reaches the HubSpot file manager
+const uploadScanner = createScanner({
+  driver: process.env.UPLOAD_SCAN_DRIVER,
+  clamavSocket: process.env.CLAMAV_SOCKET,
+  clamavHost: process.env.CLAMAV_HOST,
+  clamavPort: process.env.CLAMAV_PORT ? parseInt(process.env.CLAMAV_PORT, 10) : undefined,
+  modulePath: process.env.UPLOAD_SCAN_MODULE
+});
+
+// Multer limit errors and what they are reported as
+const MULTER_ERRORS = {
+  LIMIT_FILE_SIZE: { status: 413, code: 'file_too_large', error: `File exceeds the ${UPLOAD_MAX_BYTES / (1024 * 1024)} MB upload limit` },
+  LIMIT_FILE_COUNT: { status: 400, code: 'too_many_files', error: 'Only one file can be uploaded at a time' },
+  LIMIT_UNEXPECTED_FILE: { status: 400, code: 'unexpected_field', error: 'Files must be sent in the "file" field' }
+};
+
+/**
+ * Send an upload rejection as structured JSON
+ * @param {object} res - Express response
+ * @param {{status: number, code: string, error: string, hint?: string}} rejection
+ */
+function rejectUpload(res, rejection) {
+  const { status, ...body } = rejection;
+  return res.status(status).json({ success: false, ...body });
+}
+
+/**
+ * Parse a single multipart file upload (field "file"), turning limit
+ * violations into structured JSON errors
+ */
+function acceptUpload(req, res, next) {
+  upload.single('file')(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    if (error instanceof multer.MulterError) {
+      return rejectUpload(res, MULTER_ERRORS[error.code] || {
+        status: 400,
+        code: 'invalid_upload',
+        error: error.message
+      });
+    }
+
+    next(error);
+  });
+}
+
+/**
+ * Check an uploaded file before it is sent to HubSpot: present, an allowed
+ * format and clean according to the configured scanner
+ * @param {object} file - Multer file
+ * @param {object} [options]
+ * @param {string} [options.filename] - Name the file will be stored under (default: original name)
+ * @param {boolean} [options.matchExtension] - Require the content to match the name's extension
+ * @returns {Promise<object|null>} Rejection for rejectUpload(), or null when the file is accepted
+ */
+async function verifyUpload(file, options = {}) {
+  if (!file || !file.buffer || file.size === 0) {
+    return {
+      status: 400,
+      code: 'no_file',
+      error: 'No file provided',
+      hint: 'File must be uploaded as multipart/form-data with field name "file"'
+    };
+  }
+
+  const filename = options.filename || file.originalname || '';
+  const extension = filename.includes('.') ? filename.split('.').pop() : '';
+  const format = sniffFormat(file.buffer.subarray(0, SNIFF_BYTES), extension);
+
+  if (!format || !UPLOAD_ALLOWED_FORMATS.includes(format)) {
+    return {
+      status: 415,
+      code: 'unsupported_format',
+      error: 'The file content is not an allowed document or image format',
+      hint: `Allowed formats: ${UPLOAD_ALLOWED_FORMATS.map(f => f.extensions[0]).join(', ')}`
+    };
+  }
+
+  if (options.matchExtension && getFormat(extension) !== format) {
+    return {
+      status: 415,
+      code: 'format_mismatch',
+      error: `The file content (${format.extensions[0]}) does not match its name (${filename})`,
+      hint: 'Rename the file to its real type before uploading'
+    };
+  }
+
+  let result;
+  try {
+    result = await uploadScanner.scan(file.buffer, { filename });
+  } catch (error) {
+    // Fail closed: an unscanned file never reaches HubSpot
+    console.error(`Malware scan failed for ${filename}:`, error.message);
+    return {
+      status: 503,
+      code: 'scan_unavailable',
+      error: 'The file could not be scanned for malware',
+      hint: 'Try again later or contact your administrator'
+    };
+  }
+
+  if (!result.clean) {
+    console.warn(`Upload of ${filename} rejected, malware detected: ${result.signature}`);
+    return {
+      status: 422,
+      code: 'malware_detected',
+      error: 'The file was rejected by the malware scanner',
+      hint: result.signature ? `Detected: ${result.signature}` : undefined
+    };
+  }
+
+  return null;
+}
+
+app.post('/api/hubspot/upload', requireViewerSession, acceptUpload, async (req, res) => {
+  // CORS comes from the shared middleware (originPolicy), like every other route
+
+  // CRITICAL: Always return JSON, never HTML
+  // This ensures frontend can properly parse error responses
+  try {
+    const session = req.viewerSession;
+    const file = req.file;
+    const { filename, fileId, overwrite } = req.body;
+
+    // Sessions from the card's upload page are not bound to a file
+    if (!session.fileId) {
+      return res.status(403).json({
+        success: false,
+        error: 'Viewer session does not grant access to this file'
+      });
+    }
+
+    if (!hasViewerScope(session.scope, 'annotate')) {
+      console.warn(`Upload attempt with read-only viewer session for file ${session.fileId}`);
+      return res.status(403).json({
+        success: false,
+        error: 'This document was opened read-only',
+        hint: 'Saving requires the annotate or edit scope'
+      });
+    }
+
+    // A session may only overwrite the file it was opened for
+    if (fileId && fileId !== session.fileId) {
+      console.warn(`Upload attempt for file ${fileId} with session bound to file ${session.fileId}`);
+      return res.status(403).json({
+        success: false,
+        error: 'Viewer session does not grant access to this file'
+      });
+    }
+
+    // Saves from the viewer are exported PDFs, whatever the original file name
+    const rejection = await verifyUpload(file, { filename: filename || (file && file.originalname) });
+    if (rejection) {
+      return rejectUpload(res, rejection);
+    }
+
+    // If fileId is provided, replace existing file in HubSpot
+    if (fileId) {
+      // Optimistic concurrency: reject the save if someone else saved the file
+      // after this viewer loaded it, unless the user chose to overwrite anyway
+      const currentFile = await getHubSpotFile(session.portalId, fileId);
+      if (
+        overwrite !== 'true' &&
+        session.baseUpdatedAt &&
+        currentFile.updatedAt !== session.baseUpdatedAt
+      ) {
+        console.warn(`Conflicting save rejected for file ${fileId}`);
+        return res.status(409).json({
+          success: false,
+          conflict: true,
+          error: 'The file was modified in HubSpot after it was opened',
+          hint: 'Save as a copy, overwrite anyway or reload the latest version',
+          current: {
+            updatedAt: currentFile.updatedAt
+          },
+          base: {
+            updatedAt: session.baseUpdatedAt
+          }
+        });
+      }
+
+      try {
+        // Keep the previous content as a version before overwriting it
+        const archived = await archiveFileVersion(session.portalId, fileId, session.user);
+
+        const fileInfo = await replaceHubSpotFile(session.portalId, fileId, file.buffer, {
+          filename: filename || file.originalname,
+          contentType: file.mimetype || 'application/pdf'
+        });
+        await recordFileSave(session.portalId, fileId, session.user);
+
+        // Stored annotations are now part of the saved PDF, keeping them would apply them twice
+        await clearFileAnnotations(session.portalId, fileId);
+
+        await logDocumentActivity(session, 'replaced', {
+          file: fileInfo,
+          archivedVersion: archived.version
+        });
+
+        // Further saves from this viewer are checked against the content just written
+        const savedFile = await getHubSpotFile(session.portalId, fileId);
+        await updateViewerSession(session, { baseUpdatedAt: savedFile.updatedAt });
+
+        return res.json({
+          success: true,
+          updated: true,
+          updatedAt: savedFile.updatedAt,
+          message: `File replaced successfully in HubSpot (previous content kept as version ${archived.version})`,
+          archivedVersion: archived.version,
+          file: {
+            id: fileInfo.id,
+            name: fileInfo.name,
+            url: fileInfo.url,
+            size: fileInfo.size,
+            extension: fileInfo.extension
+          }
+        });
+      } catch (replaceError) {
+        console.error('HubSpot file replace failed:', replaceError.message);
+        if (replaceError.details) {
+          console.error('Details:', replaceError.details);
+        }
+        throw replaceError;
+      }
+    } else {
+      // If no fileId, create new file in HubSpot ("Save as copy")
+      const folderPath = req.body.folderPath || DEFAULT_COPY_FOLDER_PATH;
+
+      if (!isValidFolderPath(folderPath)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid folder path',
+          hint: 'Folder paths start with "/" and may not contain ".." segments'
+        });
+      }
+
+      const fileInfo = await uploadHubSpotFile(session.portalId, file.buffer, {
+        filename: sanitizeFilename(filename || file.originalname),
+        contentType: file.mimetype || 'application/pdf',
+        folderPath,
+        access: 'HIDDEN_PRIVATE'
+      });
+
+      // Attach the copy to the record it was created from so it shows up in the card
+      // The note doubles as the activity entry for the copy
+      let note = null;
+      if (session.record) {
+        note = await createNote(session.portalId, session.record, {
+          body: formatActivityNote(session, 'copied', { file: fileInfo, folderPath }),
+          attachmentIds: [String(fileInfo.id)]
+        });
+      }
+
+      return res.json({
+        success: true,
+        updated: false,
+        message: note
+          ? `Copy saved to ${folderPath} and attached to the ${OBJECT_TYPES[session.record.objectType].label.toLowerCase()}`
+          : `Copy saved to ${folderPath}`,
+        noteId: note ? note.id : null,
+        file: {
+          id: fileInfo.id,
+          name: fileInfo.name,
+          url: fileInfo.url,
+          size: fileInfo.size,
+          extension: fileInfo.extension
+        }
+      });
+    }
+
+  } catch (error) {
+    // CRITICAL: Always return JSON response, never HTML
+    // This ensures the frontend can parse the error properly
+    console.error('Upload endpoint error:', error.message);
+
+    // Detailed error logging for debugging
+    if (error.status) {
+      console.error('HubSpot API error response:', {
+        status: error.status,
+        category: error.category,
+        correlationId: error.correlationId,
+        data: error.details
+      });
+    }
+
+    // Return user-friendly error message
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Upload failed',
+      details: error.details || null,
+      hint: 'Check backend logs for detailed error information'
+    });
+  }
+});
+
+// =============================================================================
+// UPLOADS FROM THE CARD
+// =============================================================================
 
-  res.setHeader('Content-Type', 'image/svg+xml');
-  res.setHeader('Cache-Control', 'public, max-age=31536000');
-  res.send(svg);
-});
+// hubspot.fetch cannot send files, so the card opens an upload page from the
+// backend in an iframe modal. The page is authorized with a single-use upload
+// token that is bound to the record (not to a file) and exchanged for a session.
 
-app.get('/oauth-callback', async (req, res) => {
-  const { code, error, error_description } = req.query;
+// Folder new documents uploaded from the card are stored in
+const UPLOAD_FOLDER_PATH = process.env.UPLOAD_FOLDER_PATH || '/nutrient-uploads';
 
-  if (error) {
-    return res.status(400).send(`
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <title>OAuth Error</title>
-        <style>
-          body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
-            display: flex;
-            justify-content: center;
-            align-items: center;
-            height: 100vh;
-            margin: 0;
-            background: #f5f5f5;
-          }
-          .container {
-            background: white;
-            padding: 40px;
-            border-radius: 8px;
-            box-shadow: 0 2px 8px rgba(0,0,0,0.1);
-            max-width: 500px;
-            text-align: center;
-          }
-          h1 { color: #d32f2f; margin-bottom: 16px; }
-          p { color: #666; line-height: 1.6; }
-          .error-code {
-            background: #ffebee;
-            padding: 12px;
-            border-radius: 4px;
-            margin: 16px 0;
-            font-family: monospace;
-            color: #c62828;
-          }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <h1>OAuth Error</h1>
-          <p>There was an error during the OAuth authorization process.</p>
-          <div class="error-code">
-            <strong>Error:</strong> ${error}<br>
-            ${error_description ? `<strong>Details:</strong> ${error_description}` : ''}
-          </div>
-          <p>Please try installing the app again or contact support if the issue persists.</p>
-        </div>
-      </body>
-      </html>
-    `);
-  }
+app.post('/api/objects/:objectType/:objectId/upload-token', validateHubSpotRequest, async (req, res) => {
+  const { objectId } = req.params;
+  const objectType = resolveObjectType(req.params.objectType);
 
-  if (!code) {
-    return res.status(400).send(`
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <title>Invalid Request</title>
-        <style>
-          body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
-            display: flex;
-            justify-content: center;
-            align-items: center;
-            height: 100vh;
-            margin: 0;
-            background: #f5f5f5;
-          }
-          .container {
-            background: white;
-            padding: 40px;
-            border-radius: 8px;
-            box-shadow: 0 2px 8px rgba(0,0,0,0.1);
-            max-width: 500px;
-            text-align: center;
-          }
-          h1 { color: #d32f2f; }
-          p { color: #666; line-height: 1.6; }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <h1>Invalid Request</h1>
-          <p>No authorization code was provided. This endpoint is used for OAuth callbacks from HubSpot.</p>
-        </div>
-      </body>
-      </html>
-    `);
+  if (!objectType) {
+    return res.status(400).json({
+      success: false,
+      error: `Unsupported object type: ${req.params.objectType}`,
+      hint: `Supported object types: ${Object.keys(OBJECT_TYPES).join(', ')}`
+    });
   }
 
-  try {
-    res.send(`
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <title>Installation Successful</title>
-        <style>
-          body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
-            display: flex;
-            justify-content: center;
-            align-items: center;
-            height: 100vh;
-            margin: 0;
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-          }
-          .container {
-            background: white;
-            padding: 48px;
-            border-radius: 12px;
-            box-shadow: 0 8px 32px rgba(0,0,0,0.2);
-            max-width: 500px;
-            text-align: center;
-          }
-          h1 {
-            color: #2e7d32;
-            margin-bottom: 16px;
-            font-size: 32px;
-          }
-          .checkmark {
-            font-size: 64px;
-            margin-bottom: 24px;
-          }
-          p {
-            color: #666;
-            line-height: 1.8;
-            margin-bottom: 12px;
-          }
-          .success-box {
-            background: #e8f5e9;
-            padding: 16px;
-            border-radius: 6px;
-            margin: 24px 0;
-            border-left: 4px solid #2e7d32;
-          }
-          .next-steps {
-            text-align: left;
-            margin-top: 24px;
-            padding: 16px;
-            background: #f5f5f5;
-            border-radius: 6px;
-          }
-          .next-steps h3 {
-            margin-top: 0;
-            color: #333;
-          }
-          .next-steps ol {
-            margin: 8px 0;
-            padding-left: 20px;
-          }
-          .next-steps li {
-            margin: 8px 0;
-            color: #666;
-          }
-          .close-btn {
-            margin-top: 24px;
-            padding: 12px 32px;
-            background: #667eea;
-            color: white;
-            border: none;
-            border-radius: 6px;
-            font-size: 16px;
-            cursor: pointer;
-            transition: background 0.2s;
-          }
-          .close-btn:hover {
-            background: #5568d3;
-          }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div class="checkmark">Checked</div>
-          <h1>Installation Successful!</h1>
-
-          <div class="success-box">
-            <strong>Nutrient HubSpot Integration</strong><br>
-            The app has been successfully authorized and installed.
-          </div>
-
-          <p>Your HubSpot account is now connected to the Nutrient Document Editor.</p>
-
-          <div class="next-steps">
-            <h3>Next Steps:</h3>
-            <ol>
-              <li>Navigate to any Contact record in HubSpot</li>
-              <li>Look for the "Nutrient Document Editor" card</li>
-              <li>Attach PDF files to contact notes to view them in the card</li>
-              <li>Click on any document to view and edit with Nutrient</li>
-            </ol>
-          </div>
-
-          <button class="close-btn" onclick="window.close()">Close Window</button>
-        </div>
-
-        <script>
-          if (window.opener) {
-            setTimeout(() => {
-              window.close();
-            }, 5000);
-          }
-        </script>
-      </body>
-      </html>
-    `);
-
-  } catch (error) {
-    res.status(500).send(`
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <title>Installation Error</title>
-        <style>
-          body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
-            display: flex;
-            justify-content: center;
-            align-items: center;
-            height: 100vh;
-            margin: 0;
-            background: #f5f5f5;
-          }
-          .container {
-            background: white;
-            padding: 40px;
-            border-radius: 8px;
-            box-shadow: 0 2px 8px rgba(0,0,0,0.1);
-            max-width: 500px;
-            text-align: center;
-          }
-          h1 { color: #d32f2f; }
-          p { color: #666; line-height: 1.6; }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <h1>Installation Error</h1>
-          <p>There was an error completing the installation. Please try again or contact support.</p>
-          <p style="font-size: 14px; color: #999; margin-top: 24px;">Error: ${error.message}</p>
-        </div>
-      </body>
-      </html>
-    `);
+  // The record ID ends up in the upload page's script
+  if (!/^\d+$/.test(objectId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid object ID'
+    });
   }
-});
 
-app.post('/api/generate-viewer-token', validateHubSpotRequest, async (req, res) => {
   try {
-    const { fileId, filename } = req.body;
+    const cardUser = getCardUser(req);
+    const scope = await resolveViewerScope(getCardPortalId(req), cardUser);
 
-    if (!fileId) {
-      return res.status(400).json({
+    if (!hasViewerScope(scope, 'annotate')) {
+      return res.status(403).json({
         success: false,
-        error: 'Missing fileId'
+        error: 'You do not have permission to upload documents',
+        hint: 'Uploading requires the annotate or edit scope'
       });
     }
 
-    const token = generateViewerToken(fileId, filename || 'document');
+    // No file yet: the token only grants uploading to this record
+    const token = await generateViewerToken(null, null, {
+      scope,
+      user: toTokenUser(cardUser),
+      record: { objectType, objectId: String(objectId) },
+      portalId: getCardPortalId(req)
+    });
 
     res.json({
       success: true,
       token,
-      expiresIn: 900
+      expiresIn: VIEWER_TOKEN_TTL_MS / 1000
     });
   } catch (error) {
     res.status(500).json({
@@ -483,533 +2854,387 @@ app.post('/api/generate-viewer-token', validateHubSpotRequest, async (req, res)
   }
 });
 
+app.get('/upload', async (req, res) => {
+  const tokenData = req.query.token ? await consumeViewerToken(req.query.token) : null;
 
-app.get('/api/contact-files/:contactId', validateHubSpotRequest, async (req, res) => {
-  const { contactId } = req.params;
+  if (!tokenData || tokenData.fileId !== null || !tokenData.record) {
+    return sendMessagePage(res, 401, {
+      title: 'Unauthorized',
+      message: 'Invalid, expired or already used token. Tokens are valid once, for 15 minutes.',
+      hint: 'Please close this window and click Upload in HubSpot again.'
+    });
+  }
+
+  const session = await createViewerSession(tokenData);
+  const { objectType, objectId } = session.record;
+
+  sendPage(res, 'upload', {
+    recordLabel: OBJECT_TYPES[objectType].label.toLowerCase(),
+    config: {
+      objectType,
+      objectId,
+      sessionId: session.id
+    }
+  });
+});
 
+app.post('/api/objects/:objectType/:objectId/files', requireViewerSession, acceptUpload, async (req, res) => {
   try {
-    const notesResponse = await axios.get(
-      `https://api.hubapi.com/crm/v4/objects/contacts/${contactId}/associations/notes`,
-      {
-        headers: {
-          Authorization: `Bearer ${HUBSPOT_TOKEN}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+    const session = req.viewerSession;
+    const file = req.file;
+    const objectType = resolveObjectType(req.params.objectType);
 
-    if (!notesResponse.data.results || notesResponse.data.results.length === 0) {
-      return res.json({ files: [] });
+    // Upload sessions are bound to the record they were issued for
+    if (
+      !session.record ||
+      session.fileId !== null ||
+      session.record.objectType !== objectType ||
+      session.record.objectId !== req.params.objectId
+    ) {
+      return res.status(403).json({
+        success: false,
+        error: 'Upload session does not grant access to this record'
+      });
     }
 
-    const allFiles = [];
+    if (!hasViewerScope(session.scope, 'annotate')) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to upload documents',
+        hint: 'Uploading requires the annotate or edit scope'
+      });
+    }
 
-    for (const note of notesResponse.data.results) {
-      try {
-        const noteDetailsResponse = await axios.get(
-          `https://api.hubapi.com/crm/v3/objects/notes/${note.toObjectId}?properties=hs_attachment_ids`,
-          {
-            headers: {
-              Authorization: `Bearer ${HUBSPOT_TOKEN}`,
-              'Content-Type': 'application/json'
-            }
-          }
-        );
-
-        const attachmentIds = noteDetailsResponse.data.properties?.hs_attachment_ids;
-
-        if (attachmentIds) {
-          const fileIds = attachmentIds.split(';').filter(id => id.trim());
-
-          for (const fileId of fileIds) {
-            try {
-              const fileResponse = await axios.get(
-                `https://api.hubapi.com/files/v3/files/${fileId.trim()}`,
-                {
-                  headers: {
-                    Authorization: `Bearer ${HUBSPOT_TOKEN}`,
-                    'Content-Type': 'application/json'
-                  }
-                }
-              );
-
-              const fileData = fileResponse.data;
-              const viewerToken = generateViewerToken(fileData.id, fileData.name);
-
-              allFiles.push({
-                id: fileData.id,
-                name: fileData.name,
-                extension: fileData.extension || 'unknown',
-                url: fileData.url,
-                size: fileData.size,
-                viewerToken: viewerToken // [SECURE] Time-limited token for file access
-              });
-            } catch (fileError) {
-              // error ignored
-            }
-          }
-        }
-      } catch (noteError) {
-        // error ignored
-      }
+    const rejection = await verifyUpload(file, { matchExtension: true });
+    if (rejection) {
+      return rejectUpload(res, rejection);
     }
 
-    res.json({
-      success: true,
-      contactId,
-      fileCount: allFiles.length,
-      files: allFiles
+    const fileInfo = await uploadHubSpotFile(session.portalId, file.buffer, {
+      filename: sanitizeFilename(file.originalname),
+      contentType: file.mimetype,
+      folderPath: UPLOAD_FOLDER_PATH,
+      access: 'HIDDEN_PRIVATE'
     });
 
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      details: error.response?.data || null
+    // The note attaches the file to the record (that is what the card lists)
+    // and doubles as the activity entry for the upload
+    const note = await createNote(session.portalId, session.record, {
+      body: formatActivityNote(session, 'uploaded', { file: fileInfo }),
+      attachmentIds: [String(fileInfo.id)]
     });
-  }
-});
-
 
-app.get('/api/file/:fileId', async (req, res) => {
-  const { fileId } = req.params;
-  const token = req.query.token;
+    const viewerToken = await generateViewerToken(fileInfo.id, fileInfo.name, {
+      scope: session.scope,
+      user: session.user,
+      baseUpdatedAt: fileInfo.updatedAt,
+      record: session.record,
+      portalId: session.portalId,
+      extension: fileInfo.extension
+    });
 
-  // Require valid viewer token
-  if (!token) {
-    return res.status(401).json({
-      success: false,
-      error: 'Missing authentication token',
-      hint: 'Get a viewer token from /api/contact-files/:contactId'
+    res.json({
+      success: true,
+      message: `${fileInfo.name} was uploaded and attached to the ${OBJECT_TYPES[objectType].label.toLowerCase()}`,
+      noteId: note.id,
+      file: {
+        id: fileInfo.id,
+        name: fileInfo.name,
+        extension: fileInfo.extension || 'unknown',
+        category: getFormat(fileInfo.extension).category,
+        url: fileInfo.url,
+        size: fileInfo.size,
+        createdAt: fileInfo.createdAt || null,
+        updatedAt: fileInfo.updatedAt || null,
+        source: toFileSource('notes', note),
+        viewerToken
+      }
     });
-  }
+  } catch (error) {
+    console.error('Card upload failed:', error.message);
+    if (error.details) {
+      console.error('Details:', error.details);
+    }
 
-  // Validate token and ensure it matches the requested fileId
-  const tokenData = validateViewerToken(token);
-  if (!tokenData || tokenData.fileId !== fileId) {
-    return res.status(401).json({
+    res.status(500).json({
       success: false,
-      error: 'Invalid or expired token',
-      hint: 'Tokens expire after 15 minutes. Request a new token from the contact files endpoint.'
+      error: error.message || 'Upload failed',
+      details: error.details || null,
+      hint: 'Check backend logs for detailed error information'
     });
   }
+});
 
-  try {
-    const fileResponse = await axios.get(
-      `https://api.hubapi.com/files/v3/files/${fileId}`,
-      {
-        headers: {
-          Authorization: `Bearer ${HUBSPOT_TOKEN}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+// =============================================================================
+// DOCUMENTS FROM TEMPLATES
+// =============================================================================
 
-    const fileData = fileResponse.data;
-    const signedUrlEndpoint = `https://api.hubapi.com/files/v3/files/${fileId}/signed-url`;
+// Templates are PDF and DOCX files in a HubSpot folder. Creating a document
+// merges the record's properties into the template (see lib/document-merge),
+// stores the result and attaches it to the record through a note:
+// - DOCX placeholders, {{firstname}}, are property names
+// - PDF form fields use the form mapping (FORM_MAPPING_PATH), unmapped fields
+//   are read as property names
+// {{today}} (or a "today" form field) is the current date.
+const TEMPLATE_FOLDER_PATH = process.env.TEMPLATE_FOLDER_PATH || '/nutrient-templates';
+const TEMPLATE_OUTPUT_FOLDER_PATH = process.env.TEMPLATE_OUTPUT_FOLDER_PATH || '/nutrient-generated';
 
-    const signedUrlResponse = await axios.get(signedUrlEndpoint, {
-      headers: {
-        Authorization: `Bearer ${HUBSPOT_TOKEN}`,
-        'Content-Type': 'application/json'
-      }
-    });
+const PROPERTY_NAME_PATTERN = /^[a-z0-9_]+$/i;
 
-    const signedUrl = signedUrlResponse.data.url;
+/**
+ * List the templates in a portal: mergeable files directly in the template folder
+ * @param {string} portalId - HubSpot portal
+ * @returns {Promise<object[]>} File metadata, sorted by name
+ */
+async function listTemplates(portalId) {
+  const folder = await findHubSpotFolder(portalId, TEMPLATE_FOLDER_PATH);
+  if (!folder) {
+    return [];
+  }
 
-    const fileContentResponse = await axios.get(signedUrl, {
-      responseType: 'arraybuffer',
-      headers: {
-        'User-Agent': 'HubSpot-File-Service/1.0'
-      }
-    });
+  return (await listHubSpotFolderFiles(portalId, folder.id))
+    .filter(file => isMergeable(file.extension))
+    .sort((a, b) => String(a.name).localeCompare(String(b.name)));
+}
 
-    const contentStart = Buffer.from(fileContentResponse.data).toString('utf8', 0, 100);
-    if (contentStart.includes('<!DOCTYPE') || contentStart.includes('<html')) {
-      throw new Error('Received HTML instead of file content from HubSpot');
+/**
+ * CRM property read for each name a template uses
+ * @param {string} objectType - API object name
+ * @param {string[]} names - Placeholders or form field names
+ * @param {string} extension - Template extension
+ * @returns {Map<string, string>} Name -> property, names without a property are left out
+ */
+function templateProperties(objectType, names, extension) {
+  const mapped = extension === 'pdf'
+    ? new Map(formMapping.fieldsFor(objectType).map(mapping => [mapping.field, mapping.property]))
+    : new Map();
+  const properties = new Map();
+
+  for (const name of names) {
+    if (mapped.has(name)) {
+      properties.set(name, mapped.get(name));
+    } else if (name !== 'today' && PROPERTY_NAME_PATTERN.test(name)) {
+      properties.set(name, name);
     }
+  }
 
-    const mimeTypes = {
-      'pdf': 'application/pdf',
-      'png': 'image/png',
-      'jpg': 'image/jpeg',
-      'jpeg': 'image/jpeg',
-      'gif': 'image/gif',
-      'txt': 'text/plain',
-      'doc': 'application/msword',
-      'docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'xls': 'application/vnd.ms-excel',
-      'xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
-    };
+  return properties;
+}
 
-    const extension = fileData.extension?.toLowerCase() || 'bin';
-    const mimeType = mimeTypes[extension] || 'application/octet-stream';
+/**
+ * Name of a generated document, always with the template's extension
+ * @param {object} template - Template file metadata
+ * @param {string} [requested] - Name chosen by the user
+ * @param {string} today - Current date (YYYY-MM-DD)
+ * @returns {string} File name including extension
+ */
+function generatedFilename(template, requested, today) {
+  const extension = String(template.extension).toLowerCase();
+  const base = typeof requested === 'string' && requested.trim()
+    ? requested.trim().replace(new RegExp(`\\.${extension}$`, 'i'), '')
+    : `${template.name} (${today})`;
+
+  return sanitizeFilename(`${base}.${extension}`);
+}
 
-    res.setHeader('Content-Type', mimeType);
-    res.setHeader('Content-Disposition', `inline; filename="${fileData.name}"`);
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.send(fileContentResponse.data);
+app.get('/api/templates', validateHubSpotRequest, async (req, res) => {
+  try {
+    const templates = await listTemplates(getCardPortalId(req));
 
+    res.json({
+      success: true,
+      folderPath: TEMPLATE_FOLDER_PATH,
+      templates: templates.map(template => ({
+        id: template.id,
+        name: template.name,
+        extension: template.extension,
+        category: getFormat(template.extension).category,
+        size: template.size,
+        updatedAt: template.updatedAt || null
+      }))
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: error.message
+      error: error.message,
+      details: error.details || null
     });
   }
 });
 
-app.get('/viewer/:fileId', async (req, res) => {
-  const { fileId } = req.params;
-  const filename = req.query.filename || 'document';
-  const token = req.query.token;
-
-  // Require valid viewer token
-  if (!token) {
-    return res.status(401).send(`
-      <!DOCTYPE html>
-      <html>
-      <head><title>Unauthorized</title></head>
-      <body>
-        <h1>Unauthorized</h1>
-        <p>Missing authentication token. Please access this page from HubSpot.</p>
-        <p style="color: #666; font-size: 14px;">Security: This viewer requires a time-limited access token.</p>
-      </body>
-      </html>
-    `);
-  }
-
-  // Validate token matches the requested file
-  const tokenData = validateViewerToken(token);
-  if (!tokenData || tokenData.fileId !== fileId) {
-    return res.status(401).send(`
-      <!DOCTYPE html>
-      <html>
-      <head><title>Unauthorized</title></head>
-      <body>
-        <h1>Unauthorized</h1>
-        <p>Invalid or expired token. Tokens are valid for 15 minutes.</p>
-        <p style="color: #666; font-size: 14px;">Please return to HubSpot and click the document link again to generate a new token.</p>
-      </body>
-      </html>
-    `);
-  }
-
-  const html = `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Nutrient Viewer - ${filename}</title>
-  <style>
-    * { margin: 0; padding: 0; box-sizing: border-box; }
-    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif; background: #f5f5f5; }
-    #header { background: #fff; padding: 16px 24px; border-bottom: 1px solid #e0e0e0; display: flex; justify-content: space-between; align-items: center; }
-    #header h1 { font-size: 18px; font-weight: 600; color: #333; }
-    #container { width: 100vw; height: calc(100vh - 60px); }
-    #loading { display: flex; align-items: center; justify-content: center; height: 100%; font-size: 16px; color: #666; }
-    .error { color: #d32f2f; padding: 24px; text-align: center; }
-  </style>
-</head>
-<body>
-  <div id="header">
-    <h1>${filename}</h1>
-    <button onclick="window.close()" style="padding: 8px 16px; cursor: pointer; border: 1px solid #ccc; background: #fff; border-radius: 4px;">Close</button>
-  </div>
-  <div id="container">
-    <div id="loading">Loading document...</div>
-  </div>
-
-  <script src="https://cdn.cloud.pspdfkit.com/pspdfkit-web@1.10.0/nutrient-viewer.js"></script>
-  <script>
-    const container = document.getElementById('container');
-    const loading = document.getElementById('loading');
-
-    async function loadDocument() {
-      try {
-        loading.innerHTML = 'Fetching document from backend...';
-
-        const fileUrl = window.location.origin + '/api/file/${fileId}?token=${token}';
-        const response = await fetch(fileUrl);
-
-        if (!response.ok) {
-          throw new Error(\`Failed to fetch document: \${response.status} \${response.statusText}\`);
-        }
-
-        const arrayBuffer = await response.arrayBuffer();
-        container.innerHTML = '';
-
-        const saveToHubSpotButton = {
-          type: 'custom',
-          id: 'save-to-hubspot',
-          title: 'Save to HubSpot',
-          className: 'save-to-hubspot-button',
-          onPress: async function() {
-            try {
-              // Show loading indicator
-              const saveBtn = document.querySelector('.save-to-hubspot-button');
-              if (saveBtn) {
-                saveBtn.disabled = true;
-                saveBtn.textContent = 'Saving...';
-              }
-
-              // Export PDF from Nutrient viewer
-              const pdfBuffer = await instance.exportPDF();
-              const formData = new FormData();
-              const blob = new Blob([pdfBuffer], { type: 'application/pdf' });
-              formData.append('file', blob, '${filename}');
-              formData.append('filename', '${filename}');
-              formData.append('fileId', '${fileId}');
-
-              // Upload to backend with token
-              const backendUrl = window.location.origin + '/api/hubspot/upload?token=${token}';
-              const uploadResponse = await fetch(backendUrl, {
-                method: 'POST',
-                body: formData
-              });
-
-              // Parse response (should always be JSON)
-              let result;
-              try {
-                result = await uploadResponse.json();
-              } catch (parseError) {
-                throw new Error('Server returned invalid response. Expected JSON but got: ' + parseError.message);
-              }
-
-              // Check if upload was successful
-              if (!uploadResponse.ok || !result.success) {
-                throw new Error(result.error || result.hint || 'Upload failed with status ' + uploadResponse.status);
-              }
-
-              // Show success message
-              if (saveBtn) {
-                saveBtn.textContent = '✓ Saved!';
-                saveBtn.style.background = '#28a745';
-                setTimeout(() => {
-                  saveBtn.disabled = false;
-                  saveBtn.textContent = 'Save to HubSpot';
-                  saveBtn.style.background = '';
-                }, 3000);
-              }
-
-              alert('✓ Document saved successfully to HubSpot!\\n\\n' + (result.message || 'File updated.'));
-
-            } catch (error) {
-              // Re-enable button on error
-              const saveBtn = document.querySelector('.save-to-hubspot-button');
-              if (saveBtn) {
-                saveBtn.disabled = false;
-                saveBtn.textContent = 'Save to HubSpot';
-              }
-
-              // Show detailed error message
-              alert('Failed to save to HubSpot:\\n\\n' + error.message + '\\n\\nPlease check:\\n- Token may have expired (15 min limit)\\n- Backend logs for details\\n- Network connectivity');
-            }
-          }
-        };
-
-        const items = NutrientViewer.defaultToolbarItems;
-        items.push(saveToHubSpotButton);
+app.post('/api/objects/:objectType/:objectId/documents/from-template', validateHubSpotRequest, async (req, res) => {
+  const { objectId } = req.params;
+  const objectType = resolveObjectType(req.params.objectType);
+  const { templateId, filename } = req.body || {};
 
-        const instance = await NutrientViewer.load({
-          container,
-          document: arrayBuffer,
-          baseUrl: 'https://cdn.cloud.pspdfkit.com/pspdfkit-web@1.10.0/',
-          toolbarItems: items
-        });
-      } catch (error) {
-        loading.innerHTML = '<div class="error">Failed to load document: ' + error.message + '</div>';
-      }
-    }
-    loadDocument();
-  </script>
-</body>
-</html>
-  `;
-
-  res.setHeader('Content-Type', 'text/html');
-  res.send(html);
-});
+  if (!objectType) {
+    return res.status(400).json({
+      success: false,
+      error: `Unsupported object type: ${req.params.objectType}`,
+      hint: `Supported object types: ${Object.keys(OBJECT_TYPES).join(', ')}`
+    });
+  }
 
+  if (!/^\d+$/.test(objectId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid object ID'
+    });
+  }
 
+  if (!/^\d+$/.test(String(templateId || ''))) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing or invalid template ID',
+      hint: 'Send {"templateId": "<HubSpot file ID>"}, see GET /api/templates'
+    });
+  }
 
-app.post('/api/hubspot/upload', upload.single('file'), async (req, res) => {
-  // CRITICAL: Set CORS headers explicitly for upload endpoint
-  // This ensures requests from viewer (in iframe) are allowed
-  const origin = req.headers.origin;
-  if (origin) {
-    res.setHeader('Access-Control-Allow-Origin', origin);
-    res.setHeader('Access-Control-Allow-Credentials', 'true');
+  if (filename !== undefined && (typeof filename !== 'string' || filename.length > 200)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid file name',
+      hint: 'The file name must be a string of at most 200 characters'
+    });
   }
 
-  // CRITICAL: Always return JSON, never HTML
-  // This ensures frontend can properly parse error responses
   try {
-    const token = req.query.token;
-
-    // Validate token presence
-    if (!token) {
-      console.warn('Upload attempt without token');
-      return res.status(401).json({
-        success: false,
-        error: 'Missing authentication token',
-        hint: 'Token must be provided in query parameter'
-      });
-    }
+    const cardUser = getCardUser(req);
+    const scope = await resolveViewerScope(getCardPortalId(req), cardUser);
+    const portalId = getCardPortalId(req);
 
-    // Validate token is valid and not expired
-    const tokenData = validateViewerToken(token);
-    if (!tokenData) {
-      console.warn('Upload attempt with invalid/expired token');
-      return res.status(401).json({
+    if (!hasViewerScope(scope, 'annotate')) {
+      return res.status(403).json({
         success: false,
-        error: 'Invalid or expired token',
-        hint: 'Token has expired (15 min limit) or is invalid. Return to HubSpot to generate a new token.'
+        error: 'You do not have permission to create documents',
+        hint: 'Creating documents from templates requires the annotate or edit scope'
       });
     }
 
-    const file = req.file;
-    const { filename, fileId } = req.body;
+    // Only files in the template folder can be used, not any file of the portal
+    const [folder, template] = await Promise.all([
+      findHubSpotFolder(portalId, TEMPLATE_FOLDER_PATH),
+      getHubSpotFile(portalId, String(templateId)).catch(error => {
+        if (error.status === 404) {
+          return null;
+        }
+        throw error;
+      })
+    ]);
 
-    // Validate file was uploaded
-    if (!file) {
-      console.error('Upload failed: No file in request');
-      return res.status(400).json({
+    if (!folder || !template || template.archived || String(template.parentFolderId) !== String(folder.id)) {
+      return res.status(404).json({
         success: false,
-        error: 'No file provided',
-        hint: 'File must be uploaded as multipart/form-data with field name "file"'
+        error: `Template ${templateId} not found`,
+        hint: `Templates are the PDF and DOCX files in ${TEMPLATE_FOLDER_PATH}`
       });
     }
 
-    // Validate file buffer exists
-    if (!file.buffer) {
-      console.error('Upload failed: File has no buffer');
-      return res.status(400).json({
+    const extension = String(template.extension || '').toLowerCase();
+    if (!isMergeable(extension)) {
+      return res.status(422).json({
         success: false,
-        error: 'File buffer is empty',
-        hint: 'The uploaded file appears to be empty or corrupted'
+        error: `${template.name}.${extension} cannot be used as a template`,
+        hint: 'Templates must be PDF or DOCX files'
       });
     }
 
-    // If fileId is provided, replace existing file in HubSpot
-    if (fileId) {
-      const formData = new FormData();
-      formData.append('file', file.buffer, {
-        filename: filename || file.originalname,
-        contentType: file.mimetype || 'application/pdf',
-      });
-
-      const optionsJson = JSON.stringify({
-        access: 'PUBLIC_NOT_INDEXABLE'
-      });
-      formData.append('options', optionsJson);
-
-      try {
-        const hubspotResponse = await axios.post(
-          `https://api.hubapi.com/filemanager/api/v3/files/${fileId}/replace`,
-          formData,
-          {
-            headers: {
-              ...formData.getHeaders(),
-              Authorization: `Bearer ${HUBSPOT_TOKEN}`,
-            },
-          }
-        );
-
-        const fileInfo = hubspotResponse.data;
-
-        return res.json({
-          success: true,
-          updated: true,
-          message: 'File replaced successfully in HubSpot',
-          file: {
-            id: fileInfo.id,
-            name: fileInfo.name,
-            url: fileInfo.url,
-            size: fileInfo.size,
-            extension: fileInfo.extension
-          }
-        });
-      } catch (replaceError) {
-        console.error('HubSpot file replace failed:', replaceError.message);
-        if (replaceError.response?.data) {
-          console.error('Details:', replaceError.response.data);
-        }
-        throw replaceError;
-      }
-    } else {
-      // If no fileId, create new file in HubSpot
-
-      const formData = new FormData();
-      formData.append('file', file.buffer, {
-        filename: filename || file.originalname,
-        contentType: file.mimetype || 'application/pdf',
-      });
+    const { buffer } = await downloadHubSpotFile(portalId, template.id);
+    const names = await inspectTemplate(buffer, extension);
+    const properties = templateProperties(objectType, names, extension);
+    const today = new Date().toISOString().slice(0, 10);
+
+    let recordProperties = {};
+    if (properties.size > 0) {
+      const response = await hubspot.get(
+        portalId,
+        `/crm/v3/objects/${objectType}/${encodeURIComponent(objectId)}`,
+        { params: { properties: [...new Set(properties.values())].join(',') } }
+      );
+      recordProperties = response.data.properties || {};
+    }
 
-      formData.append('folderPath', '/nutrient-edited-files');
+    const values = { today };
+    for (const [name, property] of properties) {
+      values[name] = recordProperties[property] ?? '';
+    }
 
-      const optionsJson = JSON.stringify({
-        access: 'HIDDEN_PRIVATE',
-        overwrite: false
-      });
+    const merged = await mergeTemplate(buffer, extension, values);
 
-      formData.append('options', optionsJson);
+    const record = { objectType, objectId: String(objectId) };
+    const user = toTokenUser(cardUser);
+    const fileInfo = await uploadHubSpotFile(portalId, merged, {
+      filename: generatedFilename(template, filename, today),
+      contentType: getFormat(extension).mime,
+      folderPath: TEMPLATE_OUTPUT_FOLDER_PATH,
+      access: 'HIDDEN_PRIVATE'
+    });
 
-      const hubspotResponse = await axios.post(
-        'https://api.hubapi.com/filemanager/api/v3/files/upload',
-        formData,
-        {
-          headers: {
-            ...formData.getHeaders(),
-            Authorization: `Bearer ${HUBSPOT_TOKEN}`,
-          },
-        }
-      );
+    // As with uploads, the note is what attaches the document to the record
+    const note = await createNote(portalId, record, {
+      body: formatActivityNote({ filename: `${template.name}.${extension}`, user }, 'generated', { file: fileInfo }),
+      attachmentIds: [String(fileInfo.id)]
+    });
 
-      const fileInfo = hubspotResponse.data;
+    const viewerToken = await generateViewerToken(fileInfo.id, fileInfo.name, {
+      scope,
+      user,
+      baseUpdatedAt: fileInfo.updatedAt,
+      record,
+      portalId,
+      extension: fileInfo.extension
+    });
 
-      return res.json({
-        success: true,
-        updated: false,
-        message: 'New file uploaded successfully to HubSpot',
-        file: {
-          id: fileInfo.id,
-          name: fileInfo.name,
-          url: fileInfo.url,
-          size: fileInfo.size,
-          extension: fileInfo.extension
-        }
+    res.json({
+      success: true,
+      message: `${fileInfo.name} was created from ${template.name} and attached to the ${OBJECT_TYPES[objectType].label.toLowerCase()}`,
+      noteId: note.id,
+      template: { id: template.id, name: template.name, extension },
+      // Placeholders or fields the record had no value for
+      emptyFields: names.filter(name => name !== 'today' && !values[name]),
+      file: {
+        id: fileInfo.id,
+        name: fileInfo.name,
+        extension: fileInfo.extension || extension,
+        category: getFormat(fileInfo.extension || extension).category,
+        url: fileInfo.url,
+        size: fileInfo.size,
+        createdAt: fileInfo.createdAt || null,
+        updatedAt: fileInfo.updatedAt || null,
+        source: toFileSource('notes', note),
+        viewerToken
+      }
+    });
+  } catch (error) {
+    if (error instanceof TemplateError) {
+      return res.status(422).json({
+        success: false,
+        error: error.message,
+        problems: error.problems,
+        hint: error.hint || 'Fix the template in the HubSpot file manager and try again'
       });
     }
 
-  } catch (error) {
-    // CRITICAL: Always return JSON response, never HTML
-    // This ensures the frontend can parse the error properly
-    console.error('Upload endpoint error:', error.message);
-
-    // Detailed error logging for debugging
-    if (error.response) {
-      console.error('HubSpot API error response:', {
-        status: error.response.status,
-        statusText: error.response.statusText,
-        data: error.response.data
-      });
+    console.error('Creating a document from a template failed:', error.message);
+    if (error.details) {
+      console.error('Details:', error.details);
     }
 
-    // Return user-friendly error message
-    return res.status(500).json({
+    res.status(500).json({
       success: false,
-      error: error.message || 'Upload failed',
-      details: error.response?.data || null,
+      error: error.message || 'Creating the document failed',
+      details: error.details || null,
       hint: 'Check backend logs for detailed error information'
     });
   }
 });
 
-app.post('/api/crm-card', async (req, res) => {
+// Legacy CRM card (data fetch URL): lists the portal's PDFs with viewer links
+app.post('/api/crm-card', validateHubSpotRequest, async (req, res) => {
   try {
     const { hs_object_id } = req.body;
     const contactId = hs_object_id || req.body.objectId;
+    const portalId = getCardPortalId(req);
 
     if (!contactId) {
       return res.json({
@@ -1021,18 +3246,11 @@ app.post('/api/crm-card', async (req, res) => {
       });
     }
 
-    const response = await axios.get(
-      `https://api.hubapi.com/files/v3/files/search`,
-      {
-        params: {
-          properties: 'id,name,extension,url,size'
-        },
-        headers: {
-          Authorization: `Bearer ${HUBSPOT_TOKEN}`,
-          'Content-Type': 'application/json'
-        }
+    const response = await hubspot.get(portalId, '/files/v3/files/search', {
+      params: {
+        properties: 'id,name,extension,url,size'
       }
-    );
+    });
 
     const allFiles = response.data.results || [];
 
@@ -1040,6 +3258,10 @@ app.post('/api/crm-card', async (req, res) => {
       f.name && (f.extension === 'pdf' || f.extension === 'PDF')
     ).slice(0, 10);
 
+    const backendUrl = BACKEND_URL
+      ? BACKEND_URL.replace(/\/+$/, '')
+      : `${req.protocol}://${req.get('host')}`;
+
     const cardData = {
       results: [{
         objectId: parseInt(contactId),
@@ -1055,17 +3277,22 @@ app.post('/api/crm-card', async (req, res) => {
             dataType: "STRING",
             value: "No PDF files found"
           }],
-        actions: contactFiles.map(file => {
-          const viewerToken = generateViewerToken(file.id, file.name);
+        actions: await Promise.all(contactFiles.map(async file => {
+          // The legacy card has no save flow, so its viewers only need to read
+          const viewerToken = await generateViewerToken(file.id, file.name, {
+            scope: 'view',
+            portalId,
+            extension: file.extension
+          });
           return {
             type: "IFRAME",
             width: 1200,
             height: 800,
-            uri: `https://nutrient-hubspot-backend.azurewebsites.net/viewer/${file.id}?filename=${encodeURIComponent(file.name)}&token=${viewerToken}`,
+            uri: `${backendUrl}/viewer/${file.id}?filename=${encodeURIComponent(file.name)}&token=${viewerToken}`,
             label: `View ${file.name}`,
             associatedObjectProperties: []
           };
-        })
+        }))
       }]
     };
 
@@ -1085,8 +3312,20 @@ app.post('/api/crm-card', async (req, res) => {
     });
   }
 });
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Backend listening on port ${PORT}`);
   console.log(`Environment: ${NODE_ENV}`);
-  console.log(`Security: CORS enabled, HubSpot Auth: ${!!HUBSPOT_TOKEN}`);
-});
\ No newline at end of file
+  console.log(`Nutrient viewer ${NUTRIENT_VIEWER_VERSION}, assets: ${VIEWER_ASSETS === 'cdn' ? 'CDN' : 'self-hosted'}`);
+  console.log(`Form mapping: ${formMapping.source ? `${formMapping.source} (${formMapping.objectTypes.join(', ') || 'no object types'})` : 'none'}`);
+  console.log(`Templates: ${TEMPLATE_FOLDER_PATH}, generated documents: ${TEMPLATE_OUTPUT_FOLDER_PATH}`);
+  console.log(`Viewer configuration: ${viewerConfig.source || 'built-in defaults'}${viewerConfig.portalIds.length ? ` (overrides for ${viewerConfig.portalIds.length} portal(s))` : ''}`);
+  console.log(`Security: CORS enabled (${originPolicy.profile} origins), HubSpot Auth: ${!!HUBSPOT_TOKEN}, OAuth: ${oauthTokens.oauthEnabled}, Signature validation: ${!!HUBSPOT_CLIENT_SECRET}`);
+});
+
+// Let the store write pending changes (the file driver batches its writes)
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, () => {
+    server.close();
+    store.close().finally(() => process.exit(0));
+  });
+}
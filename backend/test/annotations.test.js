@@ -0,0 +1,79 @@
+/**
+ * "Annotations only" saves: Instant JSON kept in HubSpot next to the file
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startTestBackend } = require('./helpers');
+
+const INSTANT_JSON = {
+  format: 'https://pspdfkit.com/instant-json/v1',
+  annotations: [{ v: 2, type: 'pspdfkit/note', id: 'note-1', pageIndex: 0, text: { format: 'plain', value: 'Check clause 4' } }]
+};
+
+let api;
+
+before(async () => {
+  api = await startTestBackend();
+});
+
+after(() => {
+  api?.stop();
+});
+
+function putAnnotations(sessionId, fileId, instantJSON = INSTANT_JSON) {
+  return api.getJson(`/api/file/${fileId}/annotations`, {
+    method: 'PUT',
+    headers: { Authorization: `Bearer ${sessionId}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ instantJSON })
+  });
+}
+
+function getAnnotations(sessionId, fileId) {
+  return api.getJson(`/api/file/${fileId}/annotations`, { headers: { Authorization: `Bearer ${sessionId}` } });
+}
+
+test('saved annotations are returned to the next viewer', async () => {
+  const saved = await putAnnotations(await api.openViewer('5002'), '5002');
+  assert.equal(saved.response.status, 200, JSON.stringify(saved.body));
+
+  const { body } = await getAnnotations(await api.openViewer('5002'), '5002');
+  assert.deepEqual(body.instantJSON, INSTANT_JSON);
+  assert.equal(body.updatedBy.id, '1');
+  assert.equal(body.updatedAt, saved.body.updatedAt);
+});
+
+test('annotations are kept in HubSpot and survive a restart', async () => {
+  await putAnnotations(await api.openViewer('5004'), '5004');
+
+  const response = await fetch(`${api.mockUrl}/files/v3/folders/search?path=/nutrient-annotations/5004`, {
+    headers: { Authorization: 'Bearer mock-token' }
+  });
+  assert.equal((await response.json()).results.length, 1);
+
+  await api.restart();
+
+  const { body } = await getAnnotations(await api.openViewer('5004'), '5004');
+  assert.deepEqual(body.instantJSON, INSTANT_JSON);
+});
+
+test('files without annotations return none', async () => {
+  const { response, body } = await getAnnotations(await api.openViewer('5003'), '5003');
+  assert.equal(response.status, 200);
+  assert.equal(body.instantJSON, null);
+});
+
+test('saving the document clears the annotations it now contains', async () => {
+  const sessionId = await api.openViewer('5001');
+  await putAnnotations(sessionId, '5001');
+
+  assert.equal((await api.save(sessionId, '5001')).response.status, 200);
+
+  const { body } = await getAnnotations(await api.openViewer('5001'), '5001');
+  assert.equal(body.instantJSON, null);
+});
+
+test('invalid Instant JSON is rejected', async () => {
+  const { response } = await putAnnotations(await api.openViewer('5002'), '5002', { annotations: [] });
+  assert.equal(response.status, 400);
+});
@@ -0,0 +1,107 @@
+/**
+ * New from template: merging record values into DOCX and PDF templates
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { PDFDocument } = require('pdf-lib');
+const PizZip = require('pizzip');
+
+const { TemplateError, inspectTemplate, mergeTemplate } = require('../lib/document-merge');
+const { PORTAL_ID, ADMIN_USER_ID, CARD_HEADERS, startTestBackend } = require('./helpers');
+
+const DOCX_TEMPLATE = fs.readFileSync(path.join(__dirname, '../mock-hubspot/files/proposal-template.docx'));
+const PDF_TEMPLATE = fs.readFileSync(path.join(__dirname, '../mock-hubspot/files/nda-template.pdf'));
+
+const VALUES = { firstname: 'Jane', lastname: 'Doe', company: 'Example Corp', email: 'jane.doe@example.com' };
+
+let api;
+
+before(async () => {
+  api = await startTestBackend();
+});
+
+after(() => {
+  api?.stop();
+});
+
+function docxText(buffer) {
+  return new PizZip(buffer).file('word/document.xml').asText();
+}
+
+test('lists the placeholders and form fields a template uses', async () => {
+  assert.deepEqual(
+    (await inspectTemplate(DOCX_TEMPLATE, 'docx')).sort(),
+    ['company', 'email', 'firstname', 'lastname', 'today']
+  );
+  assert.ok((await inspectTemplate(PDF_TEMPLATE, 'pdf')).includes('signature_name'));
+});
+
+test('replaces DOCX placeholders, in any script', async () => {
+  const merged = await mergeTemplate(DOCX_TEMPLATE, 'docx', { ...VALUES, firstname: '张三' });
+  const text = docxText(merged);
+
+  assert.ok(text.includes('张三'));
+  assert.ok(text.includes('Example Corp'));
+  assert.ok(!text.includes('{{'));
+});
+
+test('fills PDF form fields and keeps them editable', async () => {
+  const merged = await mergeTemplate(PDF_TEMPLATE, 'pdf', VALUES);
+  const form = (await PDFDocument.load(merged)).getForm();
+
+  assert.equal(form.getTextField('firstname').getText(), 'Jane');
+  assert.equal(form.getTextField('company').getText(), 'Example Corp');
+  assert.equal(form.getTextField('signature_name').getText(), undefined);
+});
+
+test('values the PDF font cannot show are a TemplateError naming the field', async () => {
+  await assert.rejects(mergeTemplate(PDF_TEMPLATE, 'pdf', { ...VALUES, lastname: '山田 😀' }), (error) => {
+    assert.ok(error instanceof TemplateError);
+    assert.match(error.message, /"lastname"/);
+    assert.ok(error.hint);
+    return true;
+  });
+});
+
+test('unreadable templates are a TemplateError', async () => {
+  await assert.rejects(mergeTemplate(Buffer.from('not a pdf'), 'pdf', VALUES), TemplateError);
+  await assert.rejects(mergeTemplate(Buffer.from('not a docx'), 'docx', VALUES), TemplateError);
+  await assert.rejects(inspectTemplate(DOCX_TEMPLATE, 'txt'), TemplateError);
+});
+
+function createFromTemplate(templateId) {
+  return api.getJson(
+    `/api/objects/contacts/101/documents/from-template?portalId=${PORTAL_ID}&userId=${ADMIN_USER_ID}`,
+    {
+      method: 'POST',
+      headers: { ...CARD_HEADERS, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ templateId })
+    }
+  );
+}
+
+test('creates documents from templates with the record\'s values', async () => {
+  for (const templateId of ['5005', '5006']) {
+    const { response, body } = await createFromTemplate(templateId);
+    assert.equal(response.status, 200, JSON.stringify(body));
+    assert.ok(!body.emptyFields.includes('firstname'), JSON.stringify(body.emptyFields));
+  }
+});
+
+test('a record value the PDF cannot show answers 422, not 500', async () => {
+  const patched = await fetch(`${api.mockUrl}/crm/v3/objects/contacts/101`, {
+    method: 'PATCH',
+    headers: { Authorization: 'Bearer mock-token', 'Content-Type': 'application/json' },
+    body: JSON.stringify({ properties: { firstname: '花子' } })
+  });
+  assert.equal(patched.status, 200);
+
+  const { response, body } = await createFromTemplate('5006');
+  assert.equal(response.status, 422, JSON.stringify(body));
+  assert.match(body.error, /"firstname"/);
+
+  // DOCX templates take any script
+  assert.equal((await createFromTemplate('5005')).response.status, 200);
+});
@@ -0,0 +1,13 @@
+/**
+ * Malware scanner for UPLOAD_SCAN_DRIVER=module in the tests: flags any file
+ * containing the EICAR test string
+ */
+const EICAR = 'EICAR-STANDARD-ANTIVIRUS-TEST-FILE';
+
+async function scan(buffer) {
+  return buffer.includes(EICAR)
+    ? { clean: false, signature: 'Eicar-Test-Signature' }
+    : { clean: true };
+}
+
+module.exports = { EICAR, scan };
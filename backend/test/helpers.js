@@ -0,0 +1,218 @@
+/**
+ * Test harness: the backend against the bundled mock HubSpot server.
+ *
+ * The backend runs as a child process (server.js starts listening when it is
+ * loaded), the mock in the test process. Both use free ports, and every test
+ * file starts its own pair, so state never leaks between files.
+ */
+const assert = require('node:assert/strict');
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const net = require('node:net');
+const path = require('node:path');
+
+const { createMockHubSpot } = require('../mock-hubspot/server');
+
+const PORTAL_ID = '12345678';
+const CONTACT_FILES = `/api/objects/contacts/101/files?portalId=${PORTAL_ID}`;
+// A super admin in the mock's users, so files open with the edit scope
+const ADMIN_USER_ID = '1';
+// Without a client secret, card requests are recognized by their origin (ALLOW_INSECURE_HUBSPOT_AUTH)
+const CARD_HEADERS = { Origin: 'https://app.hubspot.com' };
+const PDF = fs.readFileSync(path.join(__dirname, '../mock-hubspot/files/service-agreement.pdf'));
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start server.js and wait until it listens
+ */
+function spawnBackend(env) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ['server.js'], {
+      cwd: path.join(__dirname, '..'),
+      env: { ...process.env, ...env },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let output = '';
+
+    const onData = (chunk) => {
+      output += chunk;
+      if (output.includes('Backend listening')) {
+        resolve(child);
+      }
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    child.on('exit', code => reject(new Error(`Backend exited with ${code}:\n${output}`)));
+  });
+}
+
+/**
+ * Start the mock and a backend using it
+ * @param {object} [options]
+ * @param {object} [options.env] - Backend environment, on top of the defaults below
+ * @param {object} [options.mock] - Options for createMockHubSpot()
+ * @returns {Promise<object>} Request helpers bound to the backend, and stop()
+ */
+async function startTestBackend(options = {}) {
+  const mockServer = createMockHubSpot({ quiet: true, ...options.mock }).listen(0);
+  await new Promise(resolve => mockServer.once('listening', resolve));
+  const mockUrl = `http://localhost:${mockServer.address().port}`;
+
+  const port = await freePort();
+  const baseUrl = `http://localhost:${port}`;
+  const env = {
+    PORT: String(port),
+    HUBSPOT_API_BASE_URL: mockUrl,
+    HUBSPOT_PRIVATE_APP_TOKEN: 'mock-token',
+    HUBSPOT_CLIENT_ID: '',
+    HUBSPOT_CLIENT_SECRET: '',
+    ALLOW_INSECURE_HUBSPOT_AUTH: 'true',
+    STORE_DRIVER: 'memory',
+    FILE_CACHE_DIR: '',
+    UPLOAD_SCAN_DRIVER: 'none',
+    ...options.env
+  };
+  let child = await spawnBackend(env);
+
+  async function getJson(url, requestOptions = {}) {
+    const response = await fetch(baseUrl + url, requestOptions);
+    return { response, body: await response.json() };
+  }
+
+  /**
+   * List the contact's files as the card does, which issues a fresh viewer token for each
+   * @param {string} [query] - User details appended by hubspot.fetch and the card
+   * @returns {Promise<object>} Response body, with scope and files
+   */
+  async function listRecordFiles(query = `userId=${ADMIN_USER_ID}`) {
+    const { response, body } = await getJson(`${CONTACT_FILES}&${query}`, { headers: CARD_HEADERS });
+    assert.equal(response.status, 200, JSON.stringify(body));
+    return body;
+  }
+
+  async function listFiles() {
+    return (await listRecordFiles()).files;
+  }
+
+  /**
+   * Open a file in the viewer like the card does and return the viewer session
+   */
+  async function openViewer(fileId) {
+    const file = (await listFiles()).find(f => f.id === fileId);
+    const response = await fetch(`${baseUrl}/viewer/${fileId}?token=${file.viewerToken}`);
+    assert.equal(response.status, 200);
+
+    const html = await response.text();
+    const config = JSON.parse(html.match(/<script type="application\/json" id="viewer-config">([^<]*)<\/script>/)[1]);
+    return config.sessionId;
+  }
+
+  function fetchRange(sessionId, fileId, range, headers = {}) {
+    return fetch(`${baseUrl}/api/file/${fileId}`, {
+      headers: { Authorization: `Bearer ${sessionId}`, Range: range, ...headers }
+    });
+  }
+
+  /**
+   * Get the download token the viewer puts in the document URL
+   */
+  async function getDownloadToken(sessionId, fileId) {
+    const { response, body } = await getJson(`/api/file/${fileId}/download-token`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${sessionId}` }
+    });
+    assert.equal(response.status, 200, JSON.stringify(body));
+    return body.token;
+  }
+
+  /**
+   * Save a document from the viewer, replacing the file
+   * @param {string} sessionId - Viewer session
+   * @param {string} fileId - File the session was opened for
+   * @param {object} [fields] - More form fields, e.g. {overwrite: 'true'}
+   * @param {object} [file] - Saved content: {content, name, type} (default: a PDF)
+   */
+  function save(sessionId, fileId, fields = {}, file = {}) {
+    const { content = PDF, name = 'document.pdf', type = 'application/pdf' } = file;
+    const form = new FormData();
+    form.append('file', new Blob([content], { type }), name);
+    form.append('fileId', fileId);
+    form.append('filename', name);
+    for (const [name, value] of Object.entries(fields)) {
+      form.append(name, value);
+    }
+
+    return getJson('/api/hubspot/upload', {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${sessionId}` },
+      body: form
+    });
+  }
+
+  /**
+   * Read a record straight from the mock, as HubSpot holds it
+   */
+  async function getMockRecord(objectType, objectId) {
+    const response = await fetch(`${mockUrl}/crm/v3/objects/${objectType}/${objectId}`, {
+      headers: { Authorization: 'Bearer mock-token' }
+    });
+    return response.json();
+  }
+
+  async function getMockNotes(objectType, objectId) {
+    const response = await fetch(`${mockUrl}/crm/v4/objects/${objectType}/${objectId}/associations/notes`, {
+      headers: { Authorization: 'Bearer mock-token' }
+    });
+    const { results } = await response.json();
+    return Promise.all(results.map(result => getMockRecord('notes', result.toObjectId)));
+  }
+
+  /**
+   * Restart the backend on the same port, with an empty memory store
+   */
+  async function restart() {
+    const exited = new Promise(resolve => child.once('exit', resolve));
+    child.kill();
+    await exited;
+    child = await spawnBackend(env);
+  }
+
+  function stop() {
+    child.kill();
+    mockServer.close();
+  }
+
+  return {
+    baseUrl,
+    mockUrl,
+    getJson,
+    listRecordFiles,
+    listFiles,
+    openViewer,
+    fetchRange,
+    getDownloadToken,
+    save,
+    getMockRecord,
+    getMockNotes,
+    restart,
+    stop
+  };
+}
+
+module.exports = {
+  PORTAL_ID,
+  ADMIN_USER_ID,
+  CARD_HEADERS,
+  PDF,
+  startTestBackend
+};
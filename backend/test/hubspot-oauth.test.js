@@ -0,0 +1,55 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { createOAuthTokenManager } = require('../lib/hubspot-oauth');
+const { createStore } = require('../lib/store');
+
+const OAUTH_APP = { clientId: 'client-id', clientSecret: 'client-secret' };
+
+function createTokenManager(options) {
+  const store = createStore();
+  // No test here reaches HubSpot: tokens are either stored or missing
+  const client = { post: () => assert.fail('unexpected HubSpot call') };
+  return { store, oauthTokens: createOAuthTokenManager({ store, client, ...options }) };
+}
+
+test('without OAuth, every portal uses the private app token', async () => {
+  const { oauthTokens } = createTokenManager({ privateAppToken: 'private-token' });
+
+  assert.equal(await oauthTokens.getAccessToken('111'), 'private-token');
+  assert.equal(await oauthTokens.getAccessToken(), 'private-token');
+});
+
+test('with OAuth, only the private app\'s portal falls back to its token', async () => {
+  const { oauthTokens } = createTokenManager({
+    ...OAUTH_APP,
+    privateAppToken: 'private-token',
+    privateAppPortalId: '111'
+  });
+
+  assert.equal(await oauthTokens.getAccessToken('111'), 'private-token');
+  await assert.rejects(oauthTokens.getAccessToken('222'), /not installed in HubSpot portal 222/);
+  await assert.rejects(oauthTokens.getAccessToken(), /not installed/);
+});
+
+test('with OAuth and no HUBSPOT_PORTAL_ID, the private app token is never used', async () => {
+  const { oauthTokens } = createTokenManager({ ...OAUTH_APP, privateAppToken: 'private-token' });
+
+  await assert.rejects(oauthTokens.getAccessToken('111'), /not installed/);
+});
+
+test('an OAuth install takes precedence over the private app token', async () => {
+  const { store, oauthTokens } = createTokenManager({
+    ...OAUTH_APP,
+    privateAppToken: 'private-token',
+    privateAppPortalId: '111'
+  });
+  await store.set('oauth-tokens:111', {
+    portalId: '111',
+    accessToken: 'oauth-token',
+    refreshToken: 'refresh-token',
+    expiresAt: Date.now() + 60 * 60 * 1000
+  });
+
+  assert.equal(await oauthTokens.getAccessToken('111'), 'oauth-token');
+});
@@ -0,0 +1,93 @@
+/**
+ * Allowed browser origins: the policy itself, and how CORS and the
+ * development HubSpot check apply it
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createOriginPolicy, normalizeOrigin } = require('../lib/origin-policy');
+const { PORTAL_ID, startTestBackend } = require('./helpers');
+
+let api;
+
+before(async () => {
+  api = await startTestBackend({ env: { ORIGIN_PROFILE: 'production' } });
+});
+
+after(() => {
+  api?.stop();
+});
+
+test('normalizes origins and URLs, ignoring other schemes', () => {
+  assert.equal(normalizeOrigin('https://app.hubspot.com/contacts/123?x=1'), 'https://app.hubspot.com');
+  assert.equal(normalizeOrigin('HTTPS://App.HubSpot.com:443'), 'https://app.hubspot.com');
+  assert.equal(normalizeOrigin('javascript:alert(1)'), null);
+  assert.equal(normalizeOrigin('not a url'), null);
+  assert.equal(normalizeOrigin(undefined), null);
+});
+
+test('HubSpot patterns match the domain and its subdomains, anchored', () => {
+  const policy = createOriginPolicy();
+
+  for (const origin of ['https://hubspot.com', 'https://app.hubspot.com', 'https://app-eu1.hubspot.com']) {
+    assert.ok(policy.isHubSpotOrigin(origin), origin);
+  }
+  for (const origin of [
+    'https://evil-hubspot.com',
+    'https://hubspot.com.attacker.io',
+    'http://app.hubspot.com',
+    'https://app.hubspot.com:8443'
+  ]) {
+    assert.ok(!policy.isHubSpotOrigin(origin), origin);
+    assert.ok(!policy.isAllowedOrigin(origin), origin);
+  }
+});
+
+test('exact origins are allowed without counting as HubSpot', () => {
+  const policy = createOriginPolicy({ origins: ['https://docs.example.com/'] });
+
+  assert.ok(policy.isAllowedOrigin('https://docs.example.com'));
+  assert.ok(!policy.isHubSpotOrigin('https://docs.example.com'));
+  assert.ok(!policy.isAllowedOrigin('https://sub.docs.example.com'));
+  assert.deepEqual(policy.origins, ['https://docs.example.com']);
+});
+
+test('localhost and ngrok are only allowed with the development profile', () => {
+  const production = createOriginPolicy();
+  const development = createOriginPolicy({ development: true });
+
+  assert.equal(production.profile, 'production');
+  assert.equal(development.profile, 'development');
+  for (const origin of ['http://localhost:3000', 'http://127.0.0.1:8080', 'https://abc123.ngrok-free.app']) {
+    assert.ok(!production.isAllowedOrigin(origin), origin);
+    assert.ok(development.isAllowedOrigin(origin), origin);
+    assert.ok(!development.isHubSpotOrigin(origin), origin);
+  }
+  assert.ok(!development.isAllowedOrigin('http://localhost.attacker.io'));
+});
+
+test('custom HubSpot patterns replace the defaults, invalid ones are refused', () => {
+  const policy = createOriginPolicy({ hubspotPatterns: ['https://*.hubspotqa.com'] });
+
+  assert.ok(policy.isHubSpotOrigin('https://app.hubspotqa.com'));
+  assert.ok(!policy.isHubSpotOrigin('https://app.hubspot.com'));
+
+  assert.throws(() => createOriginPolicy({ hubspotPatterns: ['*.hubspot.com'] }), /Invalid origin pattern/);
+  assert.throws(() => createOriginPolicy({ origins: ['ftp://example.com'] }), /Invalid allowed origin/);
+});
+
+test('CORS allows HubSpot and rejects other origins', async () => {
+  const allowed = await fetch(`${api.baseUrl}/health`, { headers: { Origin: 'https://app.hubspot.com' } });
+  assert.equal(allowed.status, 200);
+  assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://app.hubspot.com');
+
+  const rejected = await fetch(`${api.baseUrl}/health`, { headers: { Origin: 'https://hubspot.com.attacker.io' } });
+  assert.equal(rejected.status, 403);
+});
+
+test('a lookalike Referer does not pass as a HubSpot request', async () => {
+  const response = await fetch(`${api.baseUrl}/api/objects/contacts/101/files?portalId=${PORTAL_ID}`, {
+    headers: { Referer: 'https://app.hubspot.com.attacker.io/contacts/101' }
+  });
+  assert.equal(response.status, 401);
+});
@@ -0,0 +1,87 @@
+/**
+ * Streaming file content: ranges, version checks and download tokens
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startTestBackend } = require('./helpers');
+
+let api;
+
+before(async () => {
+  api = await startTestBackend();
+});
+
+after(() => {
+  api?.stop();
+});
+
+test('streams file content for the session, with ranges', async () => {
+  const sessionId = await api.openViewer('5001');
+
+  const response = await api.fetchRange(sessionId, '5001', 'bytes=0-99');
+  assert.equal(response.status, 206);
+  assert.equal(response.headers.get('content-range').split('/')[0], 'bytes 0-99');
+  assert.equal(Buffer.from(await response.arrayBuffer()).length, 100);
+
+  const other = await api.fetchRange(sessionId, '5002', 'bytes=0-99');
+  assert.equal(other.status, 403);
+});
+
+test('ranges fetched after a concurrent save do not hide the conflict', async () => {
+  const sessionA = await api.openViewer('5001');
+  const sessionB = await api.openViewer('5001');
+
+  const first = await api.fetchRange(sessionA, '5001', 'bytes=0-99');
+  assert.equal(first.status, 206);
+  const etag = first.headers.get('etag');
+
+  assert.equal((await api.save(sessionB, '5001')).response.status, 200);
+
+  // The rest of the document would come from another version
+  assert.equal((await api.fetchRange(sessionA, '5001', 'bytes=100-199')).status, 412);
+  assert.equal((await api.fetchRange(sessionA, '5001', 'bytes=100-199', { 'If-Range': etag })).status, 412);
+
+  assert.equal((await api.save(sessionA, '5001')).response.status, 409);
+});
+
+test('If-Match naming another version is rejected', async () => {
+  const sessionId = await api.openViewer('5003');
+
+  const response = await api.fetchRange(sessionId, '5003', 'bytes=0-99', { 'If-Match': '"another-version"' });
+  assert.equal(response.status, 412);
+});
+
+test('a download token streams its own file, with ranges', async () => {
+  const sessionId = await api.openViewer('5004');
+  const token = await api.getDownloadToken(sessionId, '5004');
+
+  // Reused for every range request of the viewer
+  for (const range of ['bytes=0-99', 'bytes=100-199']) {
+    const response = await fetch(`${api.baseUrl}/api/file/5004?token=${token}`, { headers: { Range: range } });
+    assert.equal(response.status, 206, range);
+  }
+
+  const otherFile = await fetch(`${api.baseUrl}/api/file/5001?token=${token}`);
+  assert.equal(otherFile.status, 401);
+
+  const unknown = await fetch(`${api.baseUrl}/api/file/5004?token=${'0'.repeat(64)}`);
+  assert.equal(unknown.status, 401);
+});
+
+test('download tokens are only issued for the session\'s file', async () => {
+  const sessionId = await api.openViewer('5004');
+
+  const { response } = await api.getJson('/api/file/5001/download-token', {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${sessionId}` }
+  });
+  assert.equal(response.status, 403);
+});
+
+test('the viewer session is no longer accepted in the URL', async () => {
+  const sessionId = await api.openViewer('5004');
+
+  const response = await fetch(`${api.baseUrl}/api/file/5004?session=${sessionId}`);
+  assert.equal(response.status, 401);
+});
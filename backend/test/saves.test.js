@@ -0,0 +1,91 @@
+/**
+ * Saves from the viewer: optimistic concurrency against changes made after opening
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { PDF, startTestBackend } = require('./helpers');
+
+let api;
+
+before(async () => {
+  api = await startTestBackend();
+});
+
+after(() => {
+  api?.stop();
+});
+
+/**
+ * Replace a file in HubSpot directly, as another integration or user would
+ */
+async function replaceInHubSpot(fileId) {
+  const form = new FormData();
+  form.append('file', new Blob([PDF], { type: 'application/pdf' }), 'changed.pdf');
+
+  const response = await fetch(`${api.mockUrl}/filemanager/api/v3/files/${fileId}/replace`, {
+    method: 'POST',
+    headers: { Authorization: 'Bearer mock-token' },
+    body: form
+  });
+  assert.equal(response.status, 200);
+}
+
+test('saves replace the file and keep the previous content as a version', async () => {
+  const sessionId = await api.openViewer('5001');
+
+  const { response, body } = await api.save(sessionId, '5001');
+  assert.equal(response.status, 200, JSON.stringify(body));
+  assert.equal(body.updated, true);
+  assert.ok(body.archivedVersion >= 1);
+
+  // The session's own save is not a conflict
+  const again = await api.save(sessionId, '5001');
+  assert.equal(again.response.status, 200, JSON.stringify(again.body));
+});
+
+test('a save after someone else saved is a conflict', async () => {
+  const sessionA = await api.openViewer('5001');
+  const sessionB = await api.openViewer('5001');
+
+  assert.equal((await api.save(sessionB, '5001')).response.status, 200);
+
+  const { response, body } = await api.save(sessionA, '5001');
+  assert.equal(response.status, 409);
+  assert.equal(body.conflict, true);
+
+  const overwrite = await api.save(sessionA, '5001', { overwrite: 'true' });
+  assert.equal(overwrite.response.status, 200, JSON.stringify(overwrite.body));
+});
+
+test('a save after the file changed in HubSpot is a conflict', async () => {
+  const sessionId = await api.openViewer('5002');
+  // updatedAt has millisecond precision
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await replaceInHubSpot('5002');
+
+  const { response, body } = await api.save(sessionId, '5002');
+  assert.equal(response.status, 409);
+  assert.equal(body.conflict, true);
+  assert.notEqual(body.current.updatedAt, body.base.updatedAt);
+});
+
+test('reloading moves the session to the latest version', async () => {
+  const sessionA = await api.openViewer('5001');
+  const sessionB = await api.openViewer('5001');
+  assert.equal((await api.save(sessionB, '5001')).response.status, 200);
+
+  const reload = await api.getJson('/api/file/5001/reload', {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${sessionA}` }
+  });
+  assert.equal(reload.response.status, 200);
+
+  assert.equal((await api.fetchRange(sessionA, '5001', 'bytes=0-99')).status, 206);
+  assert.equal((await api.save(sessionA, '5001')).response.status, 200);
+});
+
+test('saves require a viewer session', async () => {
+  const { response } = await api.save('not-a-session', '5001');
+  assert.equal(response.status, 401);
+});
@@ -0,0 +1,65 @@
+/**
+ * Viewer scopes: derived from the HubSpot user, VIEWER_SCOPE_POLICY overrides
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { PORTAL_ID, CARD_HEADERS, startTestBackend } = require('./helpers');
+
+let api;
+
+before(async () => {
+  api = await startTestBackend({
+    env: {
+      VIEWER_DEFAULT_SCOPE: '',
+      // The mock's users: 1 is a super admin, 2 is in teams 20 and 30, 3 in no team
+      VIEWER_SCOPE_POLICY: JSON.stringify({ users: { 3: 'annotate' }, teams: { 30: 'edit', 99: 'edit' } })
+    }
+  });
+});
+
+after(() => {
+  api?.stop();
+});
+
+async function getScope(query) {
+  return (await api.listRecordFiles(query)).scope;
+}
+
+test('users without a policy entry are view-only', async () => {
+  assert.equal(await getScope('userId=404'), 'view');
+  assert.equal(await getScope(''), 'view');
+});
+
+test('view-only sessions cannot save', async () => {
+  const { files } = await api.listRecordFiles('userId=404');
+  const file = files.find(f => f.id === '5001');
+
+  const html = await (await fetch(`${api.baseUrl}/viewer/5001?token=${file.viewerToken}`)).text();
+  const { sessionId } = JSON.parse(html.match(/id="viewer-config">([^<]*)</)[1]);
+
+  const { response } = await api.save(sessionId, '5001');
+  assert.equal(response.status, 403);
+});
+
+test('HubSpot super admins can edit', async () => {
+  assert.equal(await getScope('userId=1'), 'edit');
+});
+
+test('teams come from HubSpot, not from the request', async () => {
+  assert.equal(await getScope('userId=2'), 'edit');
+  // User 3 is in no team in HubSpot, claiming team 99 changes nothing
+  assert.equal(await getScope('userId=3&teamIds=99'), 'annotate');
+});
+
+test('the user policy overrides what HubSpot says', async () => {
+  assert.equal(await getScope('userId=3'), 'annotate');
+});
+
+test('restoring a version needs more than view', async () => {
+  const { response } = await api.getJson(`/api/file/5001/versions/1/restore?portalId=${PORTAL_ID}&userId=404`, {
+    method: 'POST',
+    headers: CARD_HEADERS
+  });
+  assert.equal(response.status, 403);
+});
@@ -0,0 +1,122 @@
+/**
+ * HubSpot v3 request signatures on card routes
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+
+const { PORTAL_ID, ADMIN_USER_ID, startTestBackend } = require('./helpers');
+
+const CLIENT_SECRET = 'test-client-secret';
+const FILES_PATH = `/api/objects/contacts/101/files?portalId=${PORTAL_ID}`;
+
+let api;
+
+before(async () => {
+  api = await startTestBackend({
+    env: {
+      HUBSPOT_CLIENT_SECRET: CLIENT_SECRET,
+      ALLOW_INSECURE_HUBSPOT_AUTH: 'false'
+    }
+  });
+});
+
+after(() => {
+  api?.stop();
+});
+
+/**
+ * Sign a request the way hubspot.fetch does
+ */
+function sign(method, path, body = '', timestamp = Date.now()) {
+  const signature = crypto
+    .createHmac('sha256', CLIENT_SECRET)
+    .update(`${method}${api.baseUrl}${path}${body}${timestamp}`, 'utf8')
+    .digest('base64');
+
+  return {
+    'X-HubSpot-Signature-v3': signature,
+    'X-HubSpot-Request-Timestamp': String(timestamp)
+  };
+}
+
+test('accepts correctly signed requests', async () => {
+  const response = await fetch(api.baseUrl + FILES_PATH, { headers: sign('GET', FILES_PATH) });
+  assert.equal(response.status, 200);
+});
+
+test('rejects requests without a signature, even from a HubSpot origin', async () => {
+  const response = await fetch(api.baseUrl + FILES_PATH, { headers: { Origin: 'https://app.hubspot.com' } });
+  assert.equal(response.status, 401);
+});
+
+test('rejects signatures made with another secret', async () => {
+  const headers = sign('GET', FILES_PATH);
+  headers['X-HubSpot-Signature-v3'] = crypto
+    .createHmac('sha256', 'another-secret')
+    .update(`GET${api.baseUrl}${FILES_PATH}${headers['X-HubSpot-Request-Timestamp']}`)
+    .digest('base64');
+
+  const response = await fetch(api.baseUrl + FILES_PATH, { headers });
+  assert.equal(response.status, 401);
+});
+
+test('rejects a signature replayed for another URL', async () => {
+  const otherPath = '/api/objects/contacts/101/files?portalId=87654321';
+  const response = await fetch(api.baseUrl + otherPath, { headers: sign('GET', FILES_PATH) });
+  assert.equal(response.status, 401);
+});
+
+test('rejects a signed body that was changed', async () => {
+  const path = `/api/file/5001/versions/99/restore?portalId=${PORTAL_ID}&userId=${ADMIN_USER_ID}`;
+  const body = JSON.stringify({ objectType: '0-1', objectId: '101' });
+  const headers = { ...sign('POST', path, body), 'Content-Type': 'application/json' };
+
+  const signed = await fetch(api.baseUrl + path, { method: 'POST', headers, body });
+  // Past the signature check: the version does not exist
+  assert.equal(signed.status, 404);
+
+  const changed = await fetch(api.baseUrl + path, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ objectType: '0-1', objectId: '102' })
+  });
+  assert.equal(changed.status, 401);
+});
+
+test('rejects timestamps outside the five minute window, in either direction', async () => {
+  for (const offset of [-6 * 60 * 1000, 6 * 60 * 1000]) {
+    const response = await fetch(api.baseUrl + FILES_PATH, {
+      headers: sign('GET', FILES_PATH, '', Date.now() + offset)
+    });
+    assert.equal(response.status, 401, `timestamp offset ${offset}`);
+  }
+});
+
+test('the legacy CRM card route needs a signature and links viewers to this backend', async () => {
+  const path = `/api/crm-card?portalId=${PORTAL_ID}`;
+  const body = JSON.stringify({ hs_object_id: '101' });
+
+  const unsigned = await fetch(api.baseUrl + path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body
+  });
+  assert.equal(unsigned.status, 401);
+
+  const response = await fetch(api.baseUrl + path, {
+    method: 'POST',
+    headers: { ...sign('POST', path, body), 'Content-Type': 'application/json' },
+    body
+  });
+  assert.equal(response.status, 200);
+
+  const { results: [card] } = await response.json();
+  assert.ok(card.actions.length > 0, JSON.stringify(card));
+  for (const action of card.actions) {
+    assert.ok(action.uri.startsWith(`${api.baseUrl}/viewer/`), action.uri);
+  }
+
+  const viewer = await fetch(card.actions[0].uri);
+  assert.equal(viewer.status, 200);
+});
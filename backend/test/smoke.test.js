@@ -0,0 +1,31 @@
+/**
+ * Smoke tests: the backend against the bundled mock HubSpot server.
+ *
+ *   npm test
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startTestBackend } = require('./helpers');
+
+let api;
+
+before(async () => {
+  api = await startTestBackend();
+});
+
+after(() => {
+  api?.stop();
+});
+
+test('lists the files attached to a record with viewer tokens', async () => {
+  const files = await api.listFiles();
+  const ids = files.map(file => file.id).sort();
+
+  assert.deepEqual(ids, ['5001', '5002', '5003', '5004']);
+  for (const file of files) {
+    assert.ok(file.viewerToken, `file ${file.id} has a viewer token`);
+    assert.ok(file.source.type, `file ${file.id} has a source`);
+  }
+  assert.equal(files.find(file => file.id === '5002').source.type, 'emails');
+});
@@ -0,0 +1,102 @@
+/**
+ * Upload checks: size limit, formats by magic bytes and malware scanning
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { PORTAL_ID, ADMIN_USER_ID, CARD_HEADERS, PDF, startTestBackend } = require('./helpers');
+const { EICAR } = require('./fixtures/scanner');
+
+const HTML = Buffer.from('<!DOCTYPE html><html><body><script>alert(1)</script></body></html>');
+
+let api;
+
+before(async () => {
+  api = await startTestBackend({
+    env: {
+      UPLOAD_MAX_MB: '1',
+      UPLOAD_SCAN_DRIVER: 'module',
+      UPLOAD_SCAN_MODULE: 'test/fixtures/scanner.js'
+    }
+  });
+});
+
+after(() => {
+  api?.stop();
+});
+
+/**
+ * Open the card's upload page for a contact and return its session
+ */
+async function openUploadPage() {
+  const { response, body } = await api.getJson(
+    `/api/objects/contacts/101/upload-token?portalId=${PORTAL_ID}&userId=${ADMIN_USER_ID}`,
+    { method: 'POST', headers: CARD_HEADERS }
+  );
+  assert.equal(response.status, 200, JSON.stringify(body));
+
+  const page = await fetch(`${api.baseUrl}/upload?token=${body.token}`);
+  assert.equal(page.status, 200);
+  const html = await page.text();
+  return JSON.parse(html.match(/<script type="application\/json" id="upload-config">([^<]*)<\/script>/)[1]).sessionId;
+}
+
+function uploadToRecord(sessionId, content, name, type = 'application/octet-stream') {
+  const form = new FormData();
+  form.append('file', new Blob([content], { type }), name);
+
+  return api.getJson('/api/objects/contacts/101/files', {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${sessionId}` },
+    body: form
+  });
+}
+
+test('uploads a document whose content matches its name', async () => {
+  const sessionId = await openUploadPage();
+
+  const { response, body } = await uploadToRecord(sessionId, PDF, 'contract.pdf', 'application/pdf');
+  assert.equal(response.status, 200, JSON.stringify(body));
+});
+
+test('rejects content that is not an allowed format, whatever its name', async () => {
+  const sessionId = await openUploadPage();
+
+  const { response, body } = await uploadToRecord(sessionId, HTML, 'contract.pdf', 'application/pdf');
+  assert.equal(response.status, 415);
+  assert.equal(body.code, 'unsupported_format');
+});
+
+test('rejects content that does not match the file name', async () => {
+  const sessionId = await openUploadPage();
+
+  const { response, body } = await uploadToRecord(sessionId, PDF, 'contract.docx');
+  assert.equal(response.status, 415);
+  assert.equal(body.code, 'format_mismatch');
+});
+
+test('rejects viewer saves that are not an allowed format', async () => {
+  const sessionId = await api.openViewer('5001');
+
+  const { response, body } = await api.save(sessionId, '5001', {}, { content: HTML, type: 'application/pdf' });
+  assert.equal(response.status, 415);
+  assert.equal(body.code, 'unsupported_format');
+});
+
+test('rejects files flagged by the malware scanner', async () => {
+  const sessionId = await openUploadPage();
+  const infected = Buffer.concat([PDF, Buffer.from(EICAR)]);
+
+  const { response, body } = await uploadToRecord(sessionId, infected, 'contract.pdf', 'application/pdf');
+  assert.equal(response.status, 422);
+  assert.equal(body.code, 'malware_detected');
+});
+
+test('rejects files over the size limit', async () => {
+  const sessionId = await openUploadPage();
+  const large = Buffer.concat([PDF, Buffer.alloc(1024 * 1024)]);
+
+  const { response, body } = await uploadToRecord(sessionId, large, 'contract.pdf', 'application/pdf');
+  assert.equal(response.status, 413);
+  assert.equal(body.code, 'file_too_large');
+});
@@ -0,0 +1,97 @@
+/**
+ * Version history: saves archive the previous content, the card lists and restores versions
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { PORTAL_ID, ADMIN_USER_ID, CARD_HEADERS, startTestBackend } = require('./helpers');
+
+const DOCX_MIME = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const DOCX = fs.readFileSync(path.join(__dirname, '../mock-hubspot/files/proposal-template.docx'));
+
+let api;
+
+before(async () => {
+  api = await startTestBackend();
+});
+
+after(() => {
+  api?.stop();
+});
+
+function restore(fileId, version) {
+  return api.getJson(`/api/file/${fileId}/versions/${version}/restore?portalId=${PORTAL_ID}&userId=${ADMIN_USER_ID}`, {
+    method: 'POST',
+    headers: { ...CARD_HEADERS, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ objectType: '0-1', objectId: '101' })
+  });
+}
+
+/**
+ * Read a file as HubSpot holds it: metadata, and the type its content is served with
+ */
+async function getMockFile(fileId) {
+  const headers = { Authorization: 'Bearer mock-token' };
+  const meta = await (await fetch(`${api.mockUrl}/files/v3/files/${fileId}`, { headers })).json();
+  const { url } = await (await fetch(`${api.mockUrl}/files/v3/files/${fileId}/signed-url`, { headers })).json();
+  const content = await fetch(url);
+
+  return { ...meta, contentType: content.headers.get('content-type') };
+}
+
+test('saved versions are listed for the card', async () => {
+  const sessionId = await api.openViewer('5003');
+  const { body: saved } = await api.save(sessionId, '5003');
+
+  const { response, body } = await api.getJson(`/api/file/5003/versions?portalId=${PORTAL_ID}`, { headers: CARD_HEADERS });
+  assert.equal(response.status, 200, JSON.stringify(body));
+  assert.equal(body.versions[0].version, saved.archivedVersion);
+  assert.ok(body.versions[0].viewerToken);
+  assert.ok(body.current.savedAt);
+});
+
+test('restoring a version clears stored annotations and logs the restore', async () => {
+  const sessionId = await api.openViewer('5004');
+  const { body: saved } = await api.save(sessionId, '5004');
+
+  const annotations = await api.getJson('/api/file/5004/annotations', {
+    method: 'PUT',
+    headers: { Authorization: `Bearer ${sessionId}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ instantJSON: { format: 'https://pspdfkit.com/instant-json/v1', annotations: [] } })
+  });
+  assert.equal(annotations.response.status, 200, JSON.stringify(annotations.body));
+
+  const { response, body } = await restore('5004', saved.archivedVersion);
+  assert.equal(response.status, 200, JSON.stringify(body));
+  assert.equal(body.restoredVersion, saved.archivedVersion);
+
+  const stored = await api.getJson('/api/file/5004/annotations', { headers: { Authorization: `Bearer ${sessionId}` } });
+  assert.equal(stored.body.instantJSON, null);
+
+  const notes = await api.getMockNotes('contacts', '101');
+  assert.ok(notes.some(note => note.properties.hs_note_body.includes(`restored to version ${saved.archivedVersion}`)));
+});
+
+test('a restored file keeps its name and type', async () => {
+  // A DOCX template, opened by ID like the card's "New from template" result
+  const token = await api.getJson(`/api/generate-viewer-token?portalId=${PORTAL_ID}&userId=${ADMIN_USER_ID}`, {
+    method: 'POST',
+    headers: { ...CARD_HEADERS, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ fileId: '5005', filename: 'Proposal.docx' })
+  });
+  const html = await (await fetch(`${api.baseUrl}/viewer/5005?token=${token.body.token}`)).text();
+  const { sessionId } = JSON.parse(html.match(/id="viewer-config">([^<]*)</)[1]);
+
+  const saved = await api.save(sessionId, '5005', {}, { content: DOCX, name: 'Proposal.docx', type: DOCX_MIME });
+  assert.equal(saved.response.status, 200, JSON.stringify(saved.body));
+
+  const { response, body } = await restore('5005', saved.body.archivedVersion);
+  assert.equal(response.status, 200, JSON.stringify(body));
+
+  const file = await getMockFile('5005');
+  assert.equal(file.name, 'Proposal');
+  assert.equal(file.extension, 'docx');
+  assert.equal(file.contentType, DOCX_MIME);
+});
@@ -0,0 +1,72 @@
+/**
+ * Single-use viewer tokens and the viewer sessions they are exchanged for
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startTestBackend } = require('./helpers');
+
+let api;
+
+before(async () => {
+  api = await startTestBackend();
+});
+
+after(() => {
+  api?.stop();
+});
+
+async function getViewerToken(fileId) {
+  return (await api.listFiles()).find(file => file.id === fileId).viewerToken;
+}
+
+test('viewer tokens can only be used once', async () => {
+  const token = await getViewerToken('5002');
+
+  const first = await fetch(`${api.baseUrl}/viewer/5002?token=${token}`);
+  assert.equal(first.status, 200);
+
+  const second = await fetch(`${api.baseUrl}/viewer/5002?token=${token}`);
+  assert.equal(second.status, 401);
+});
+
+test('only one of two concurrent uses of a token gets a session', async () => {
+  const token = await getViewerToken('5002');
+
+  const statuses = await Promise.all([1, 2].map(async () => (
+    (await fetch(`${api.baseUrl}/viewer/5002?token=${token}`)).status
+  )));
+  assert.deepEqual(statuses.sort(), [200, 401]);
+});
+
+test('tokens are bound to their file', async () => {
+  const token = await getViewerToken('5002');
+
+  const response = await fetch(`${api.baseUrl}/viewer/5001?token=${token}`);
+  assert.equal(response.status, 401);
+});
+
+test('unknown and missing tokens are rejected', async () => {
+  assert.equal((await fetch(`${api.baseUrl}/viewer/5002?token=${'0'.repeat(64)}`)).status, 401);
+  assert.equal((await fetch(`${api.baseUrl}/viewer/5002`)).status, 401);
+});
+
+test('the token is exchanged for a renewable session bound to the file', async () => {
+  const sessionId = await api.openViewer('5001');
+  const headers = { Authorization: `Bearer ${sessionId}` };
+
+  const renew = await api.getJson('/api/viewer-session/renew', { method: 'POST', headers });
+  assert.equal(renew.response.status, 200);
+  assert.ok(renew.body.expiresIn > 0);
+
+  assert.equal((await fetch(`${api.baseUrl}/api/file/5001`, { headers })).status, 200);
+  assert.equal((await fetch(`${api.baseUrl}/api/file/5002`, { headers })).status, 403);
+});
+
+test('requests without a valid session are rejected', async () => {
+  const renew = await api.getJson('/api/viewer-session/renew', {
+    method: 'POST',
+    headers: { Authorization: 'Bearer not-a-session' }
+  });
+  assert.equal(renew.response.status, 401);
+});
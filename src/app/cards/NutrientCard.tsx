@@ -18,8 +18,25 @@ import {
   TableHeader,
   TableBody,
   TableCell,
+  Button,
+  Panel,
+  PanelBody,
+  PanelSection,
+  Input,
+  Select,
 } from "@hubspot/ui-extensions";
 
+/**
+ * Engagement (note, email, meeting, call or task) a file is attached through
+ */
+interface FileSource {
+  type: string;
+  id: string | null;
+  label?: string;
+  title?: string | null;
+  timestamp?: string | null;
+}
+
 /**
  * File metadata returned by the backend
  */
@@ -27,17 +44,64 @@ interface FileInfo {
   id: string;
   name: string;
   extension: string;
+  // pdf, word, excel, powerpoint, image, text or other
+  category: FileCategory;
   url: string;
   size: number;
+  createdAt: string | null;
+  updatedAt: string | null;
+  // Engagement that attaches the file to the record
+  source: FileSource;
   // SECURITY: Backend generates time-limited, single-use tokens for secure file access
   viewerToken?: string;
 }
 
+/**
+ * Attachment the backend could not resolve (deleted file, missing permission, ...)
+ */
+interface FileWarning {
+  fileId: string | null;
+  source: FileSource;
+  status: number | null;
+  message: string;
+}
+
+/**
+ * Previous content of a file, archived by the backend before each save
+ */
+interface FileVersion {
+  version: number;
+  archivedFileId: string;
+  name: string;
+  size: number;
+  editor: { id: string; email: string | null } | null;
+  savedAt: string | null;
+  archivedAt: string;
+  viewerToken?: string;
+}
+
+/**
+ * Document template (PDF or DOCX) in the backend's template folder
+ */
+interface TemplateInfo {
+  id: string;
+  name: string;
+  extension: string;
+  category: FileCategory;
+  size: number;
+  updatedAt: string | null;
+}
+
+/**
+ * What the current user may do in the viewer (resolved by the backend)
+ */
+type ViewerScope = "view" | "annotate" | "edit";
+
 /**
  * Entry point for HubSpot UI Extension
  */
-hubspot.extend(({ context }) => {
-  return <DocumentBrowser context={context} />;
+hubspot.extend(({ context, actions }) => {
+  return <DocumentBrowser context={context} actions={actions} />;
 });
 
 /**
@@ -52,84 +116,544 @@ const Logo = ({ backendUrl }: { backendUrl: string }) => (
   />
 );
 
+/**
+ * File type categories, used for the type tag color and the type filter.
+ * The backend assigns them from its format registry (backend/lib/formats.js).
+ */
+const FILE_CATEGORIES = {
+  pdf: { label: "PDF", color: "error" },
+  word: { label: "Word", color: "info" },
+  excel: { label: "Excel", color: "success" },
+  powerpoint: { label: "PowerPoint", color: "warning" },
+  image: { label: "Image", color: "default" },
+  text: { label: "Text", color: "default" },
+  other: { label: "Other", color: "default" },
+} as const;
+
+type FileCategory = keyof typeof FILE_CATEGORIES;
+
+const getFileCategory = (file: FileInfo): FileCategory =>
+  file.category in FILE_CATEGORIES ? file.category : "other";
+
 /**
  * File type color mapping
  */
 const getFileTypeColor = (
-  extension: string
-): "default" | "success" | "warning" | "error" | "info" => {
-  switch (extension.toLowerCase()) {
-    case "pdf":
-      return "error";
-    case "doc":
-    case "docx":
-      return "info";
-    case "xls":
-    case "xlsx":
-      return "success";
-    case "ppt":
-    case "pptx":
-      return "warning";
+  file: FileInfo
+): "default" | "success" | "warning" | "error" | "info" =>
+  FILE_CATEGORIES[getFileCategory(file)].color;
+
+/**
+ * Human readable file size
+ */
+const formatSize = (bytes: number | null | undefined) => {
+  if (bytes === null || bytes === undefined) {
+    return "Unknown";
+  }
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Display helpers for the engagement a file is attached through
+ */
+const formatSourceRef = (source: FileSource) =>
+  source.id ? `${source.type.replace(/s$/, "")} ${source.id}` : source.type;
+
+const formatSource = (source: FileSource) =>
+  [source.label || source.type, source.title].filter(Boolean).join(": ");
+
+/**
+ * Document table sorting
+ */
+type SortField = "name" | "size" | "updatedAt";
+type SortDirection = "ascending" | "descending";
+
+const compareFiles = (a: FileInfo, b: FileInfo, field: SortField) => {
+  switch (field) {
+    case "size":
+      return (a.size || 0) - (b.size || 0);
+    case "updatedAt":
+      return Date.parse(a.updatedAt || "") - Date.parse(b.updatedAt || "") || 0;
     default:
-      return "default";
+      return a.name.localeCompare(b.name, undefined, { sensitivity: "base", numeric: true });
   }
 };
 
+// Rows per page in the document table
+const PAGE_SIZE = 10;
+
+/**
+ * Display helpers for version history
+ */
+const formatEditor = (editor: FileVersion["editor"]) =>
+  editor ? editor.email || `User ${editor.id}` : "Unknown";
+
+const formatDate = (value: string | null) =>
+  value ? new Date(value).toLocaleString() : "Unknown";
+
+/**
+ * Version history panel for a single document
+ */
+const VersionHistoryPanel: React.FC<{
+  file: FileInfo;
+  backendUrl: string;
+  teamIds: string;
+  objectTypeId: string;
+  objectId: string | number;
+  canRestore: boolean;
+}> = ({ file, backendUrl, teamIds, objectTypeId, objectId, canRestore }) => {
+  const [versions, setVersions] = useState<FileVersion[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [restoring, setRestoring] = useState<number | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+
+  /**
+   * Load versions (also issues fresh single-use viewer tokens for them)
+   */
+  const loadVersions = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await hubspot.fetch(
+        `${backendUrl}/api/file/${file.id}/versions?teamIds=${teamIds}`
+      );
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || `Backend returned ${response.status}`);
+      }
+
+      setVersions(data.versions || []);
+    } catch (err: any) {
+      setError(err.message || "Failed to load version history");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const restoreVersion = async (version: FileVersion) => {
+    setRestoring(version.version);
+    setError(null);
+    setMessage(null);
+
+    try {
+      const response = await hubspot.fetch(
+        `${backendUrl}/api/file/${file.id}/versions/${version.version}/restore?teamIds=${teamIds}`,
+        // The record is where the restore is logged
+        { method: "POST", body: { objectType: objectTypeId, objectId } }
+      );
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || `Backend returned ${response.status}`);
+      }
+
+      setMessage(data.message);
+      await loadVersions();
+    } catch (err: any) {
+      setError(err.message || "Failed to restore version");
+    } finally {
+      setRestoring(null);
+    }
+  };
+
+  const getVersionViewerUrl = (version: FileVersion) =>
+    `${backendUrl}/viewer/${version.archivedFileId}?filename=${encodeURIComponent(version.name)}&token=${version.viewerToken || ''}`;
+
+  return (
+    <Panel id={`history-${file.id}`} title={`History: ${file.name}`} width="md" onOpen={loadVersions}>
+      <PanelBody>
+        <PanelSection>
+          {error && (
+            <Alert title="Error" variant="error">
+              {error}
+            </Alert>
+          )}
+          {message && (
+            <Alert title="Done" variant="success">
+              {message}
+            </Alert>
+          )}
+          {loading ? (
+            <LoadingSpinner label="Loading versions..." />
+          ) : versions.length === 0 ? (
+            <EmptyState title="No previous versions" layout="vertical">
+              <Text>Versions are kept each time this document is saved from the viewer.</Text>
+            </EmptyState>
+          ) : (
+            <Table bordered paginated={false}>
+              <TableHead>
+                <TableRow>
+                  <TableHeader width="min">Version</TableHeader>
+                  <TableHeader>Saved</TableHeader>
+                  <TableHeader>Editor</TableHeader>
+                  <TableHeader width="min">Actions</TableHeader>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {versions.map((version) => (
+                  <TableRow key={version.version}>
+                    <TableCell width="min">v{version.version}</TableCell>
+                    <TableCell>{formatDate(version.savedAt)}</TableCell>
+                    <TableCell>{formatEditor(version.editor)}</TableCell>
+                    <TableCell width="min">
+                      <Flex direction="row" gap="xs">
+                        {/* Tokens are single-use, reload to get fresh ones after opening */}
+                        <Link href={getVersionViewerUrl(version)} onClick={loadVersions}>
+                          Open
+                        </Link>
+                        {canRestore && (
+                          <Button
+                            size="xs"
+                            disabled={restoring !== null}
+                            onClick={() => restoreVersion(version)}
+                          >
+                            {restoring === version.version ? "Restoring..." : "Restore"}
+                          </Button>
+                        )}
+                      </Flex>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </PanelSection>
+      </PanelBody>
+    </Panel>
+  );
+};
+
+const TEMPLATE_PANEL_ID = "new-from-template";
+
+/**
+ * Panel creating a document from a template, merged with the record's properties
+ */
+const NewFromTemplatePanel: React.FC<{
+  backendUrl: string;
+  teamIds: string;
+  objectTypeId: string;
+  objectId: string | number;
+  onCreated: (file: FileInfo) => void;
+}> = ({ backendUrl, teamIds, objectTypeId, objectId, onCreated }) => {
+  const [templates, setTemplates] = useState<TemplateInfo[]>([]);
+  const [folderPath, setFolderPath] = useState("");
+  const [templateId, setTemplateId] = useState("");
+  const [filename, setFilename] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadTemplates = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await hubspot.fetch(`${backendUrl}/api/templates?teamIds=${teamIds}`);
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || `Backend returned ${response.status}`);
+      }
+
+      setTemplates(data.templates || []);
+      setFolderPath(data.folderPath || "");
+    } catch (err: any) {
+      setError(err.message || "Failed to load templates");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const createDocument = async () => {
+    setCreating(true);
+    setError(null);
+
+    try {
+      const response = await hubspot.fetch(
+        `${backendUrl}/api/objects/${objectTypeId}/${objectId}/documents/from-template?teamIds=${teamIds}`,
+        {
+          method: "POST",
+          body: { templateId, ...(filename.trim() ? { filename: filename.trim() } : {}) },
+        }
+      );
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        // Invalid placeholders are listed one by one
+        throw new Error([data.error || `Backend returned ${response.status}`, ...(data.problems || [])].join(" "));
+      }
+
+      setTemplateId("");
+      setFilename("");
+      onCreated(data.file);
+    } catch (err: any) {
+      setError(err.message || "Failed to create the document");
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  return (
+    <Panel id={TEMPLATE_PANEL_ID} title="New from template" width="sm" onOpen={loadTemplates}>
+      <PanelBody>
+        <PanelSection>
+          {error && (
+            <Alert title="Error" variant="error">
+              {error}
+            </Alert>
+          )}
+          {loading ? (
+            <LoadingSpinner label="Loading templates..." />
+          ) : templates.length === 0 ? (
+            <EmptyState title="No templates" layout="vertical">
+              <Text>Add PDF or DOCX templates to {folderPath || "the template folder"} in the HubSpot file manager.</Text>
+            </EmptyState>
+          ) : (
+            <Flex direction="column" gap="sm">
+              <Text variant="microcopy">
+                The record's properties are merged into the template. The document is attached to this record
+                and opened in the viewer.
+              </Text>
+              <Select
+                name="template"
+                label="Template"
+                required
+                value={templateId}
+                onChange={(value) => setTemplateId(String(value))}
+                options={templates.map((template) => ({
+                  label: `${template.name}.${template.extension}`,
+                  value: template.id,
+                }))}
+              />
+              <Input
+                name="filename"
+                label="File name"
+                placeholder="Template name and today's date"
+                value={filename}
+                onInput={setFilename}
+              />
+              <Button variant="primary" disabled={!templateId || creating} onClick={createDocument}>
+                {creating ? "Creating..." : "Create document"}
+              </Button>
+            </Flex>
+          )}
+        </PanelSection>
+      </PanelBody>
+    </Panel>
+  );
+};
+
 /**
  * Main document browser component
  */
-const DocumentBrowser: React.FC<{ context: any }> = ({ context }) => {
+const DocumentBrowser: React.FC<{ context: any; actions: any }> = ({ context, actions }) => {
   const [files, setFiles] = useState<FileInfo[]>([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
+  const [scope, setScope] = useState<ViewerScope>("view");
+  const [uploadError, setUploadError] = useState<string | null>(null);
+  const [warnings, setWarnings] = useState<FileWarning[]>([]);
+
+  // Table state: search, type filter, sorting and pagination
+  const [search, setSearch] = useState("");
+  const [category, setCategory] = useState<FileCategory | "all">("all");
+  const [sourceType, setSourceType] = useState("all");
+  const [sortField, setSortField] = useState<SortField>("name");
+  const [sortDirection, setSortDirection] = useState<SortDirection>("ascending");
+  const [page, setPage] = useState(1);
 
   // Backend URL - Uses local.json proxy during development
   // In production, update this to your actual backend URL
   const BACKEND_URL = "https://xxxxxx-hubspot-backend.azurewebsites.net";
 
+  // The backend resolves the viewer scope from the HubSpot user and their teams.
+  // hubspot.fetch adds userId/portalId itself, the teams come from the card context.
+  const teamIds = (context.user?.teams || []).map((team: { id: number }) => team.id).join(",");
+
   // SECURITY BEST PRACTICE:
-  // Backend validates requests using HubSpot origin headers and generates time-limited
-  // viewer tokens (15 min expiry) for each file. No secrets exposed in frontend.
+  // hubspot.fetch signs every request (X-HubSpot-Signature-v3), the backend verifies the
+  // signature with the app's client secret and generates time-limited viewer tokens
+  // (15 min expiry) for each file. No secrets exposed in frontend.
 
   /**
-   * Fetch files for the current contact
+   * Fetch files for the current CRM record (contact, company, deal or ticket)
    */
-  useEffect(() => {
-    const fetchFiles = async () => {
-      try {
-        // Get the current contact ID from HubSpot context
-        const contactId = context.crm.objectId;
+  const fetchFiles = async () => {
+    try {
+      // Get the current record from HubSpot context
+      const { objectId, objectTypeId } = context.crm;
 
-        if (!contactId) {
-          throw new Error("No contact ID found");
-        }
-
-        // SECURE APPROACH:
-        // Backend validates request origin (HubSpot domains) via validateHubSpotRequest middleware
-        // No API key needed - HubSpot origin headers provide authentication
-        const response = await hubspot.fetch(`${BACKEND_URL}/api/contact-files/${contactId}`);
+      if (!objectId || !objectTypeId) {
+        throw new Error("No CRM record found");
+      }
 
-        if (!response.ok) {
-          throw new Error(`Backend returned ${response.status}`);
-        }
+      // SECURE APPROACH:
+      // Backend verifies the HubSpot request signature via validateHubSpotRequest middleware
+      // No API key needed - hubspot.fetch signs the request on HubSpot's side
+      const response = await hubspot.fetch(
+        `${BACKEND_URL}/api/objects/${objectTypeId}/${objectId}/files?teamIds=${teamIds}`
+      );
 
-        const data = await response.json();
+      if (!response.ok) {
+        throw new Error(`Backend returned ${response.status}`);
+      }
 
-        if (!data.success) {
-          throw new Error(data.error || "Failed to load files");
-        }
+      const data = await response.json();
 
-        setFiles(data.files || []);
-      } catch (err: any) {
-        setError(err.message || "Failed to load documents");
-      } finally {
-        setLoading(false);
+      if (!data.success) {
+        throw new Error(data.error || "Failed to load files");
       }
-    };
 
+      setFiles(data.files || []);
+      setWarnings(data.warnings || []);
+      setScope(data.scope || "view");
+      setError(null);
+    } catch (err: any) {
+      setError(err.message || "Failed to load documents");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
     fetchFiles();
   }, [context]);
 
+  /**
+   * Open the backend's upload page in a modal (hubspot.fetch cannot send files).
+   * The page stores the file in HubSpot and attaches it to this record through a note,
+   * the document list is reloaded when the modal closes so the new file can be opened.
+   */
+  const openUploadModal = async () => {
+    setUploadError(null);
+
+    try {
+      const { objectId, objectTypeId } = context.crm;
+      const response = await hubspot.fetch(
+        `${BACKEND_URL}/api/objects/${objectTypeId}/${objectId}/upload-token?teamIds=${teamIds}`,
+        { method: "POST" }
+      );
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || `Backend returned ${response.status}`);
+      }
+
+      actions.openIframeModal(
+        {
+          uri: `${BACKEND_URL}/upload?token=${data.token}`,
+          title: "Upload document",
+          width: 640,
+          height: 420,
+        },
+        () => fetchFiles()
+      );
+    } catch (err: any) {
+      setUploadError(err.message || "Failed to start upload");
+    }
+  };
+
+  /**
+   * Open a document created from a template in the viewer, like a file from the list.
+   * The list is reloaded when the viewer closes so the new file shows up.
+   */
+  const openCreatedDocument = (file: FileInfo) => {
+    actions.closeOverlay(TEMPLATE_PANEL_ID);
+
+    actions.openIframeModal(
+      {
+        uri: getViewerUrl(file),
+        title: file.name,
+        width: 1200,
+        height: 800,
+      },
+      () => fetchFiles()
+    );
+  };
+
+  const changeSort = (field: SortField) => (direction: SortDirection | "none") => {
+    setSortField(field);
+    setSortDirection(direction === "descending" ? "descending" : "ascending");
+    setPage(1);
+  };
+
+  const getSortDirection = (field: SortField) => (sortField === field ? sortDirection : "none");
+
+  const searchTerm = search.trim().toLowerCase();
+  const visibleFiles = files
+    .filter((file) => category === "all" || getFileCategory(file) === category)
+    .filter((file) => sourceType === "all" || file.source.type === sourceType)
+    .filter((file) => !searchTerm || `${file.name}.${file.extension}`.toLowerCase().includes(searchTerm))
+    .sort((a, b) => compareFiles(a, b, sortField) * (sortDirection === "ascending" ? 1 : -1));
+
+  const pageCount = Math.max(1, Math.ceil(visibleFiles.length / PAGE_SIZE));
+  const currentPage = Math.min(page, pageCount);
+  const pageFiles = visibleFiles.slice((currentPage - 1) * PAGE_SIZE, currentPage * PAGE_SIZE);
+
+  const categoryOptions = [
+    { label: "All types", value: "all" },
+    ...(Object.keys(FILE_CATEGORIES) as FileCategory[])
+      .filter((key) => files.some((file) => getFileCategory(file) === key))
+      .map((key) => ({ label: FILE_CATEGORIES[key].label, value: key })),
+  ];
+
+  // Only engagement types that actually carry files on this record
+  const sourceOptions = [
+    { label: "All sources", value: "all" },
+    ...files
+      .map((file) => file.source)
+      .filter((source, index, all) => all.findIndex((s) => s.type === source.type) === index)
+      .map((source) => ({ label: `${source.label || source.type}s`, value: source.type })),
+  ];
+
+  const addButtons = scope !== "view" && (
+    <Flex direction="row" gap="xs">
+      <Button
+        size="sm"
+        variant="secondary"
+        overlay={
+          <NewFromTemplatePanel
+            backendUrl={BACKEND_URL}
+            teamIds={teamIds}
+            objectTypeId={context.crm.objectTypeId}
+            objectId={context.crm.objectId}
+            onCreated={openCreatedDocument}
+          />
+        }
+      >
+        New from template
+      </Button>
+      <Button size="sm" variant="primary" onClick={openUploadModal}>
+        Upload document
+      </Button>
+    </Flex>
+  );
+
+  const uploadAlert = uploadError && (
+    <Alert title="Upload failed" variant="error">
+      {uploadError}
+    </Alert>
+  );
+
+  const warningsAlert = warnings.length > 0 && (
+    <Alert title={`${warnings.length} attachment(s) could not be loaded`} variant="warning">
+      {warnings.map((warning, index) => (
+        <Text key={index} variant="microcopy">
+          {warning.fileId ? `File ${warning.fileId}` : "Attachments"} on {formatSourceRef(warning.source)}: {warning.message}
+        </Text>
+      ))}
+    </Alert>
+  );
+
   /**
    * Viewer URL builder
    *
@@ -141,6 +665,33 @@ const DocumentBrowser: React.FC<{ context: any }> = ({ context }) => {
   const getViewerUrl = (file: FileInfo) =>
     `${BACKEND_URL}/viewer/${file.id}?filename=${encodeURIComponent(file.name)}&token=${file.viewerToken || ''}`;
 
+  /**
+   * Viewer tokens are single-use: the viewer exchanges them for a renewable session.
+   * Once a link has been opened, swap in a fresh token so the document can be opened again.
+   */
+  const refreshViewerToken = async (file: FileInfo) => {
+    try {
+      const response = await hubspot.fetch(`${BACKEND_URL}/api/generate-viewer-token?teamIds=${teamIds}`, {
+        method: "POST",
+        body: {
+          fileId: file.id,
+          filename: file.name,
+          objectType: context.crm.objectTypeId,
+          objectId: context.crm.objectId,
+        },
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setFiles((current) =>
+          current.map((f) => (f.id === file.id ? { ...f, viewerToken: data.token } : f))
+        );
+      }
+    } catch (err) {
+      // Reloading the card issues fresh tokens for every file
+    }
+  };
+
   // -------------------------
   // UI States
   // -------------------------
@@ -164,10 +715,15 @@ const DocumentBrowser: React.FC<{ context: any }> = ({ context }) => {
             1. Ensure the backend is running at {BACKEND_URL}
           </Text>
           <Text variant="microcopy">
-            2. Verify HUBSPOT_PRIVATE_APP_TOKEN is set
+            2. "Not installed in HubSpot portal": install the app in this portal (OAuth), or set
+            HUBSPOT_PRIVATE_APP_TOKEN for a single-portal setup
+          </Text>
+          <Text variant="microcopy">
+            3. Verify HUBSPOT_CLIENT_ID and HUBSPOT_CLIENT_SECRET match this app (OAuth installs and
+            request signatures)
           </Text>
           <Text variant="microcopy">
-            3. Confirm backend endpoints are accessible
+            4. Confirm backend endpoints are accessible
           </Text>
         </Alert>
       </Flex>
@@ -176,9 +732,14 @@ const DocumentBrowser: React.FC<{ context: any }> = ({ context }) => {
 
   if (files.length === 0) {
     return (
-      <EmptyState title="No documents" layout="vertical">
-        <Text>No files available.</Text>
-      </EmptyState>
+      <Flex direction="column" gap="md">
+        {uploadAlert}
+        {warningsAlert}
+        <EmptyState title="No documents" layout="vertical">
+          <Text>No files available.</Text>
+          {addButtons}
+        </EmptyState>
+      </Flex>
     );
   }
 
@@ -198,37 +759,137 @@ const DocumentBrowser: React.FC<{ context: any }> = ({ context }) => {
       </Flex>
 
       {/* Document count */}
-      <Flex direction="row" gap="sm" align="center">
-        <Tag variant="default">{files.length} Documents</Tag>
+      <Flex direction="row" gap="sm" align="center" justify="between">
+        <Flex direction="row" gap="sm" align="center">
+          <Tag variant="default">
+            {visibleFiles.length === files.length
+              ? `${files.length} Documents`
+              : `${visibleFiles.length} of ${files.length} Documents`}
+          </Tag>
+          {scope === "view" && <Tag variant="warning">View only</Tag>}
+        </Flex>
+        {addButtons}
       </Flex>
 
+      {uploadAlert}
+      {warningsAlert}
+
       <Divider />
 
+      {/* Search and type filter */}
+      <Flex direction="row" gap="sm" align="end">
+        <Input
+          name="search"
+          label="Search"
+          placeholder="Search by name"
+          value={search}
+          onInput={(value) => {
+            setSearch(value);
+            setPage(1);
+          }}
+        />
+        <Select
+          name="type"
+          label="Type"
+          value={category}
+          options={categoryOptions}
+          onChange={(value) => {
+            setCategory(value as FileCategory | "all");
+            setPage(1);
+          }}
+        />
+        <Select
+          name="source"
+          label="Attached to"
+          value={sourceType}
+          options={sourceOptions}
+          onChange={(value) => {
+            setSourceType(String(value));
+            setPage(1);
+          }}
+        />
+      </Flex>
+
       {/* Document table */}
-      <Table bordered paginated={false}>
-        <TableHead>
-          <TableRow>
-            <TableHeader>Document Name</TableHeader>
-            <TableHeader width="min">Type</TableHeader>
-          </TableRow>
-        </TableHead>
-        <TableBody>
-          {files.map((file) => (
-            <TableRow key={file.id}>
-              <TableCell>
-                <Link href={getViewerUrl(file)}>
-                  {file.name}
-                </Link>
-              </TableCell>
-              <TableCell width="min">
-                <Tag variant={getFileTypeColor(file.extension)}>
-                  {file.extension.toUpperCase()}
-                </Tag>
-              </TableCell>
+      {visibleFiles.length === 0 ? (
+        <EmptyState title="No matching documents" layout="vertical">
+          <Text>Try another search term or type.</Text>
+        </EmptyState>
+      ) : (
+        <Table
+          bordered
+          paginated={pageCount > 1}
+          pageCount={pageCount}
+          page={currentPage}
+          onPageChange={setPage}
+        >
+          <TableHead>
+            <TableRow>
+              <TableHeader sortDirection={getSortDirection("name")} onSortChange={changeSort("name")}>
+                Document Name
+              </TableHeader>
+              <TableHeader width="min">Type</TableHeader>
+              <TableHeader
+                width="min"
+                sortDirection={getSortDirection("size")}
+                onSortChange={changeSort("size")}
+              >
+                Size
+              </TableHeader>
+              <TableHeader
+                sortDirection={getSortDirection("updatedAt")}
+                onSortChange={changeSort("updatedAt")}
+              >
+                Modified
+              </TableHeader>
+              <TableHeader>Attached to</TableHeader>
+              <TableHeader width="min">Actions</TableHeader>
             </TableRow>
-          ))}
-        </TableBody>
-      </Table>
+          </TableHead>
+          <TableBody>
+            {pageFiles.map((file) => (
+              <TableRow key={file.id}>
+                <TableCell>
+                  <Link href={getViewerUrl(file)} onClick={() => refreshViewerToken(file)}>
+                    {file.name}
+                  </Link>
+                </TableCell>
+                <TableCell width="min">
+                  <Tag variant={getFileTypeColor(file)}>
+                    {file.extension.toUpperCase()}
+                  </Tag>
+                </TableCell>
+                <TableCell width="min">{formatSize(file.size)}</TableCell>
+                <TableCell>{formatDate(file.updatedAt)}</TableCell>
+                <TableCell>
+                  <Flex direction="column" gap="flush">
+                    <Text>{formatSource(file.source)}</Text>
+                    <Text variant="microcopy">{formatDate(file.source.timestamp || null)}</Text>
+                  </Flex>
+                </TableCell>
+                <TableCell width="min">
+                  <Button
+                    size="xs"
+                    variant="secondary"
+                    overlay={
+                      <VersionHistoryPanel
+                        file={file}
+                        backendUrl={BACKEND_URL}
+                        teamIds={teamIds}
+                        objectTypeId={context.crm.objectTypeId}
+                        objectId={context.crm.objectId}
+                        canRestore={scope !== "view"}
+                      />
+                    }
+                  >
+                    History
+                  </Button>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
     </Flex>
   );
 };
\ No newline at end of file